@@ -0,0 +1,29 @@
+// Find the first key starting with '$' in a request body, at any depth
+const findOperatorKey = (value) => {
+  if (!value || typeof value !== 'object') return null;
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key.startsWith('$')) return key;
+    const nested = findOperatorKey(child);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+// Middleware to reject bodies carrying MongoDB update operators ($set, $push, ...),
+// so request data can never be read as part of a query or update
+const rejectOperatorKeys = (req, res, next) => {
+  const key = findOperatorKey(req.body);
+
+  if (key) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `Field names can't start with '$' (${key})`
+    });
+  }
+  next();
+};
+
+module.exports = {
+  rejectOperatorKeys
+};
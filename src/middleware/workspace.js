@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+
+// Middleware to resolve the workspace a request works in, from the X-Workspace-Id header
+// or the workspace query parameter. Without one the request works in the user's personal
+// journal, where they have every right. Runs after protect.
+const workspaceScope = async (req, res, next) => {
+  const workspaceId = req.get('X-Workspace-Id') || req.query.workspace;
+
+  req.workspace = null;
+  req.workspaceRole = 'owner';
+
+  if (!workspaceId) {
+    return next();
+  }
+
+  if (!mongoose.isValidObjectId(workspaceId)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Invalid workspace ID'
+    });
+  }
+
+  try {
+    const workspace = await Workspace.findOne({ _id: workspaceId, 'members.user': req.user._id });
+
+    // Non-members can't tell a workspace they aren't in from one that doesn't exist
+    if (!workspace) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Workspace not found'
+      });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = workspace.getRole(req.user._id);
+    next();
+  } catch (error) {
+    console.error('Workspace middleware error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while loading the workspace'
+    });
+  }
+};
+
+// Middleware to require at least the given role in the request's workspace
+const requireWorkspaceRole = (role) => {
+  return (req, res, next) => {
+    if (!Workspace.roleAtLeast(req.workspaceRole, role)) {
+      return res.status(403).json({
+        status: 'fail',
+        message: `This action needs the ${role} role in this workspace`
+      });
+    }
+    next();
+  };
+};
+
+// Filter for the documents of the request's scope - see Workspace.scopeFilter()
+const scopeFilter = (req, userPath = 'user') => Workspace.scopeFilter(req.user._id, req.workspace, userPath);
+
+module.exports = {
+  workspaceScope,
+  requireWorkspaceRole,
+  scopeFilter
+};
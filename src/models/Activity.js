@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = [
+  'airdrop_created',
+  'airdrop_updated',
+  'airdrop_trashed',
+  'airdrop_restored',
+  'status_changed',
+  'notes_edited',
+  'tag_added',
+  'tag_removed',
+  'tag_renamed',
+  'wallet_attached',
+  'wallet_detached',
+  'task_created',
+  'task_completed',
+  'task_reopened',
+  'task_deleted',
+  'task_restored',
+  'claim_logged',
+  'expense_logged',
+  'attachment_added',
+  'criterion_met',
+  'catalog_update_applied'
+];
+
+// Activity Schema - append-only timeline of what happened to an airdrop
+const activitySchema = new mongoose.Schema({
+  airdrop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Airdrop',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed, // Event specific details, e.g. { from, to } for status changes
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+activitySchema.index({ airdrop: 1, createdAt: -1 });
+activitySchema.index({ airdrop: 1, type: 1, createdAt: -1 });
+activitySchema.index({ user: 1, createdAt: -1 });
+
+// Events are append-only - block every kind of update
+const blockUpdate = function(next) {
+  next(new Error('Activity events are append-only and cannot be updated'));
+};
+activitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], blockUpdate);
+activitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return blockUpdate(next);
+  }
+  next();
+});
+
+// Static method to record events. Failures are logged, never thrown,
+// so a timeline problem can't fail the request that caused it.
+activitySchema.statics.record = async function(events) {
+  const list = (Array.isArray(events) ? events : [events]).filter(Boolean);
+  if (list.length === 0) return [];
+
+  try {
+    return await this.insertMany(list);
+  } catch (error) {
+    console.error('Error recording activity:', error);
+    return [];
+  }
+};
+
+// Static method to get a page of an airdrop's timeline, with the events of every
+// member for airdrops of a workspace
+activitySchema.statics.getTimeline = async function(airdropId, options = {}) {
+  const query = { airdrop: airdropId };
+
+  if (options.types && options.types.length > 0) {
+    query.type = { $in: options.types };
+  }
+
+  const page = options.page || 1;
+  const limit = options.limit || 20;
+
+  const [events, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('task', 'title completed'),
+    this.countDocuments(query)
+  ]);
+
+  return { events, total };
+};
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+Activity.TYPES = ACTIVITY_TYPES;
+
+module.exports = Activity;
@@ -1,4 +1,157 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const socialMediaFields = require('./schemas/socialMedia');
+const softDelete = require('./plugins/softDelete');
+const chains = require('./plugins/chains');
+const DEFAULT_CHAINS = require('../seeds/chains');
+
+// Links probed by the link health checker, and the results that are shown as issues
+const LINK_FIELDS = ['officialLink', ...Object.keys(socialMediaFields).map(network => `socialMedia.${network}`)];
+const LINK_STATUSES = ['ok', 'redirected', 'broken', 'blocked', 'unreachable'];
+const LINK_ISSUE_STATUSES = ['redirected', 'broken', 'unreachable'];
+
+// Airdrop status lifecycle and the transitions allowed from each status
+const STATUS_TRANSITIONS = {
+  'Watching': ['Farming', 'Missed', 'Rugged'],
+  'Farming': ['Watching', 'Snapshot Taken', 'Missed', 'Rugged'],
+  'Snapshot Taken': ['Claimable', 'Missed', 'Rugged'],
+  'Claimable': ['Claimed', 'Missed', 'Rugged'],
+  'Claimed': [],
+  'Missed': [],
+  'Rugged': []
+};
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+// Categories by ecosystem name, from the default chains, for airdrops whose chains aren't populated
+const ECOSYSTEM_CATEGORIES = new Map([
+  ...DEFAULT_CHAINS.map(chain => [chain.name, chain.category]),
+  ['Multi-chain', 'Infrastructure']
+]);
+
+// Kinds of eligibility criteria projects publish, and how many an airdrop can track
+const CRITERION_TYPES = ['transactions', 'volume', 'active_months', 'nft', 'custom'];
+const MAX_CRITERIA = 50;
+
+// Resolve a priority from user input ('high' -> 'High'). Numbers from the
+// old 1-5 scale map to Low (1-2), Medium (3) and High (4-5).
+const resolvePriority = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).toLowerCase().trim();
+  const named = PRIORITIES.find(priority => priority.toLowerCase() === normalized);
+  if (named) return named;
+
+  const level = Number(normalized);
+  if (!Number.isInteger(level) || level < 1 || level > 5) return null;
+  if (level <= 2) return 'Low';
+  return level === 3 ? 'Medium' : 'High';
+};
+
+// Status history entry
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Status note cannot be more than 200 characters']
+  }
+}, { _id: false });
+
+// Eligibility criterion, e.g. 'At least 10 transactions' with target 10, and how far the user got.
+// Progress can also be tracked per wallet farming the airdrop.
+const eligibilityCriterionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Criterion label is required'],
+    trim: true,
+    maxlength: [100, 'Criterion label cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: CRITERION_TYPES,
+      message: `Criterion type must be one of: ${CRITERION_TYPES.join(', ')}`
+    },
+    default: 'custom'
+  },
+  target: {
+    type: Number,
+    required: [true, 'Criterion target is required'],
+    min: [0, 'Criterion target cannot be negative']
+  },
+  current: {
+    type: Number,
+    min: [0, 'Criterion current value cannot be negative'],
+    default: 0
+  },
+  unit: {
+    type: String, // e.g. 'USD' for volume, shown next to the values
+    trim: true,
+    maxlength: [20, 'Criterion unit cannot be more than 20 characters']
+  },
+  met: {
+    type: Boolean,
+    default: false
+  },
+  wallets: [{
+    _id: false,
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Wallet',
+      required: true
+    },
+    current: {
+      type: Number,
+      min: [0, 'Wallet progress cannot be negative'],
+      default: 0
+    },
+    met: {
+      type: Boolean,
+      default: false
+    }
+  }]
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual field for how close the current value is to the target (0-100)
+eligibilityCriterionSchema.virtual('progress').get(function() {
+  if (this.met) return 100;
+  if (!this.target) return 0;
+  return Math.min(Math.round((this.current / this.target) * 100), 100);
+});
+
+// Instance method to apply changes to a criterion. Unless met is given, it follows the
+// values: a criterion is met once current reaches target. Wallet progress always does.
+eligibilityCriterionSchema.methods.applyChanges = function({ met, ...values }) {
+  this.set(values);
+
+  if (met !== undefined) {
+    this.met = met;
+  } else if (values.current !== undefined || values.target !== undefined) {
+    this.met = this.current >= this.target;
+  }
+  this.wallets.forEach(progress => {
+    progress.met = progress.current >= this.target;
+  });
+
+  return this;
+};
 
 // Airdrop Schema
 const airdropSchema = new mongoose.Schema({
@@ -14,8 +167,9 @@ const airdropSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot be more than 1000 characters']
   },
   ecosystem: {
-    type: String,
-    enum: ['Ethereum', 'Solana', 'Polygon', 'Arbitrum', 'Optimism', 'BSC', 'Avalanche', 'Multi-chain'],
+    type: String, // Name of the airdrop's chain, or 'Multi-chain' - kept in sync with chains
+    trim: true,
+    maxlength: [50, 'Ecosystem cannot be more than 50 characters'],
     default: 'Ethereum'
   },
   type: {
@@ -25,19 +179,38 @@ const airdropSchema = new mongoose.Schema({
   },
   status: {
     type: String,
+    enum: {
+      values: STATUSES,
+      message: `Status must be one of: ${STATUSES.join(', ')}`
+    },
     default: 'Farming'
   },
+  statusHistory: [statusChangeSchema],
   deadline: {
+    type: Date,
+    default: null
+  },
+  deadlineStatus: {
     type: String,
-    trim: true,
+    enum: ['TBA', 'Confirmed'],
     default: 'TBA'
   },
+  deadlineNote: {
+    type: String, // Free-text hint when the exact date is unknown (e.g. 'Q3 2025')
+    trim: true,
+    maxlength: [100, 'Deadline note cannot be more than 100 characters']
+  },
   estimatedValue: {
     type: String,
     trim: true
   },
   priority: {
-    type: mongoose.Schema.Types.Mixed,
+    type: String,
+    enum: {
+      values: PRIORITIES,
+      message: `Priority must be one of: ${PRIORITIES.join(', ')}`
+    },
+    set: value => resolvePriority(value) || value,
     default: 'Medium'
   },
   officialLink: {
@@ -61,6 +234,9 @@ const airdropSchema = new mongoose.Schema({
       message: 'Referral link must be a valid URL starting with http:// or https://'
     }
   },
+  referralCode: {
+    type: String // Short code shared as /r/:code instead of the referral link itself
+  },
   logoUrl: {
     type: String,
     trim: true
@@ -97,74 +273,69 @@ const airdropSchema = new mongoose.Schema({
   startDate: {
     type: Date
   },
-  socialMedia: {
-    twitter: {
-      type: String,
-      trim: true,
-      validate: {
-        validator: function(url) {
-          return !url || /^https?:\/\/(www\.)?(twitter\.com|x\.com)\/.+/.test(url);
-        },
-        message: 'Twitter must be a valid Twitter/X URL'
-      }
-    },
-    telegram: {
-      type: String,
-      trim: true,
-      validate: {
-        validator: function(url) {
-          return !url || /^https?:\/\/(www\.)?t\.me\/.+/.test(url);
-        },
-        message: 'Telegram must be a valid Telegram URL'
-      }
-    },
-    discord: {
-      type: String,
-      trim: true,
-      validate: {
-        validator: function(url) {
-          return !url || /^https?:\/\/(www\.)?discord\.(gg|com)\/.+/.test(url);
-        },
-        message: 'Discord must be a valid Discord URL'
-      }
-    },
-    medium: {
+  endDate: {
+    type: Date
+  },
+  snapshotDate: {
+    type: Date
+  },
+  socialMedia: socialMediaFields,
+  wallets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  }],
+  catalogEntry: {
+    type: mongoose.Schema.Types.ObjectId, // Catalog entry this airdrop was cloned from
+    ref: 'CatalogAirdrop'
+  },
+  catalogSync: {
+    revision: Number, // Catalog revision last reviewed by the user
+    syncedAt: Date,
+    snapshot: [{
+      _id: false,
+      field: String,
+      value: mongoose.Schema.Types.Mixed
+    }],
+    taskIds: [mongoose.Schema.Types.ObjectId] // Catalog default tasks already offered
+  },
+  linkHealth: [{
+    _id: false,
+    field: {
       type: String,
-      trim: true,
-      validate: {
-        validator: function(url) {
-          return !url || /^https?:\/\/(www\.)?medium\.com\/.+/.test(url);
-        },
-        message: 'Medium must be a valid Medium URL'
-      }
+      enum: LINK_FIELDS
     },
-    github: {
+    url: String, // URL as it was when checked
+    status: {
       type: String,
-      trim: true,
-      validate: {
-        validator: function(url) {
-          return !url || /^https?:\/\/(www\.)?github\.com\/.+/.test(url);
-        },
-        message: 'GitHub must be a valid GitHub URL'
-      }
+      enum: LINK_STATUSES
     },
-    website: {
-      type: String,
-      trim: true,
-      validate: {
-        validator: function(url) {
-          return !url || /^https?:\/\/.+/.test(url);
-        },
-        message: 'Website must be a valid URL starting with http:// or https://'
-      }
+    statusCode: Number,
+    redirectTarget: String, // Where the link ended up, if it redirected
+    error: String,
+    checkedAt: Date
+  }],
+  linksCheckedAt: {
+    type: Date, // Last run of the link health checker, null until the first one
+    default: null
+  },
+  eligibility: {
+    type: [eligibilityCriterionSchema],
+    validate: {
+      validator: criteria => criteria.length <= MAX_CRITERIA,
+      message: `An airdrop can have at most ${MAX_CRITERIA} eligibility criteria`
     }
   },
   user: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: mongoose.Schema.Types.ObjectId, // Creator - the owner of personal airdrops
     ref: 'User',
     required: true,
     index: true
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId, // null for airdrops in the user's personal journal
+    ref: 'Workspace',
+    default: null
+  },
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
   toJSON: { virtuals: true },
@@ -176,30 +347,83 @@ airdropSchema.virtual('network').get(function() {
   return this.ecosystem;
 });
 
-// Virtual field for category (derived from ecosystem)
+// Virtual field for category, taken from the first chain in the registry.
+// While chains are not populated it is looked up by the ecosystem name.
 airdropSchema.virtual('category').get(function() {
-  const categoryMap = {
-    'Ethereum': 'DeFi',
-    'Solana': 'DeFi', 
-    'Polygon': 'DeFi',
-    'Arbitrum': 'Infrastructure',
-    'Optimism': 'Infrastructure',
-    'BSC': 'DeFi',
-    'Avalanche': 'DeFi',
-    'Multi-chain': 'Infrastructure'
-  };
-  return categoryMap[this.ecosystem] || 'Other';
+  const chain = this.chains && this.chains[0];
+  if (chain && chain.slug) return chain.category || 'Other';
+  return ECOSYSTEM_CATEGORIES.get(this.ecosystem) || 'Other';
+});
+
+// Virtual field for links the last check found broken, unreachable or moved.
+// Results for links edited since then are left out until they are checked again.
+airdropSchema.virtual('linkIssues').get(function() {
+  return (this.linkHealth || [])
+    .filter(result => LINK_ISSUE_STATUSES.includes(result.status) && this.get(result.field) === result.url)
+    .map(({ field, url, status, statusCode, redirectTarget, error, checkedAt }) => (
+      { field, url, status, statusCode, redirectTarget, error, checkedAt }
+    ));
 });
 
-// Virtual field for tasks completed/total (mock data for now)
+// Virtual fields for task progress, computed from linked Task documents.
+// They are null until loaded with setTaskProgress() or withTaskProgress().
 airdropSchema.virtual('tasksCompleted').get(function() {
-  // This would be calculated based on actual task completion
-  return Math.floor(Math.random() * 10) + 1;
+  const progress = this.$locals.taskProgress;
+  return progress ? progress.tasksCompleted : null;
 });
 
 airdropSchema.virtual('totalTasks').get(function() {
-  // This would be the total number of tasks for this airdrop
-  return Math.floor(Math.random() * 5) + this.tasksCompleted;
+  const progress = this.$locals.taskProgress;
+  return progress ? progress.totalTasks : null;
+});
+
+// Virtual field for task completion percentage (0-100)
+airdropSchema.virtual('taskProgress').get(function() {
+  const progress = this.$locals.taskProgress;
+  if (!progress) return null;
+  if (progress.totalTasks === 0) return 0;
+  return Math.round((progress.tasksCompleted / progress.totalTasks) * 100);
+});
+
+// Virtual field for the focus score (0-100), computed with the user's focus weights.
+// It is null until loaded with setFocusScore().
+airdropSchema.virtual('focusScore').get(function() {
+  const score = this.$locals.focusScore;
+  return score === undefined ? null : score;
+});
+
+// Virtual field for the eligibility score (0-100): the share of eligibility criteria that are met.
+// It is null for airdrops without criteria.
+airdropSchema.virtual('eligibilityScore').get(function() {
+  if (!this.eligibility || this.eligibility.length === 0) return null;
+  const metCount = this.eligibility.filter(criterion => criterion.met).length;
+  return Math.round((metCount / this.eligibility.length) * 100);
+});
+
+// Virtual field for estimatedValue as a USD number.
+// Handles free text like '$500', '1.5k', '$200 - $400' (midpoint), returns null if unparseable.
+airdropSchema.virtual('estimatedValueUsd').get(function() {
+  if (!this.estimatedValue) return null;
+
+  const amounts = (this.estimatedValue.replace(/,/g, '').match(/\d+(\.\d+)?\s*[kKmM]?/g) || [])
+    .map(match => {
+      const value = parseFloat(match);
+      const suffix = match.trim().slice(-1).toLowerCase();
+      if (suffix === 'k') return value * 1000;
+      if (suffix === 'm') return value * 1000000;
+      return value;
+    });
+
+  if (amounts.length === 0) return null;
+  if (amounts.length === 1) return amounts[0];
+  return (amounts[0] + amounts[1]) / 2;
+});
+
+// Virtual field for days remaining until the deadline
+airdropSchema.virtual('daysUntilDeadline').get(function() {
+  if (!this.deadline) return null;
+  const diffTime = this.deadline - new Date();
+  return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
 // Virtual field for last updated (human readable)
@@ -218,27 +442,309 @@ airdropSchema.virtual('lastUpdated').get(function() {
   }
 });
 
+// Deleted airdrops go to the trash first
+airdropSchema.plugin(softDelete);
+
+// Chains from the registry, with ecosystem kept as their label
+airdropSchema.plugin(chains, { userPath: 'user' });
+
 // Index for better query performance
 airdropSchema.index({ status: 1, createdAt: -1 });
-airdropSchema.index({ user: 1, createdAt: -1 });
+// Sortable list fields end in _id, the tie-breaker cursor pagination continues from
+airdropSchema.index({ user: 1, createdAt: -1, _id: -1 });
+airdropSchema.index({ user: 1, updatedAt: -1, _id: -1 });
+airdropSchema.index({ user: 1, name: 1, _id: 1 });
+airdropSchema.index({ user: 1, deadline: 1, _id: 1 });
+airdropSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+airdropSchema.index({ workspace: 1, updatedAt: -1, _id: -1 });
+airdropSchema.index({ workspace: 1, name: 1, _id: 1 });
+airdropSchema.index({ workspace: 1, deadline: 1, _id: 1 });
 airdropSchema.index({ tokenSymbol: 1 });
 airdropSchema.index({ ecosystem: 1 });
+airdropSchema.index({ user: 1, chains: 1 });
 airdropSchema.index({ tags: 1 });
+airdropSchema.index({ user: 1, wallets: 1 });
+airdropSchema.index({ user: 1, catalogEntry: 1 });
+airdropSchema.index(
+  { name: 'text', tokenSymbol: 'text', description: 'text', notes: 'text' },
+  {
+    name: 'airdrop_text_search',
+    weights: { name: 10, tokenSymbol: 8, description: 3, notes: 1 }
+  }
+);
+airdropSchema.index({ user: 1, snapshotDate: 1 });
+airdropSchema.index({ user: 1, endDate: 1 });
+airdropSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
+airdropSchema.index({ linksCheckedAt: 1 });
+
+// Pre-save middleware to record the initial status of new airdrops
+airdropSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status });
+  }
+  next();
+});
+
+// Pre-save middleware to queue edited links for the next link health check
+airdropSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('officialLink') || this.isModified('socialMedia'))) {
+    this.linksCheckedAt = null;
+  }
+  next();
+});
+
+// Pre-save middleware to give airdrops with a referral link a trackable referral code
+airdropSchema.pre('save', function(next) {
+  if (this.referralLink && !this.referralCode) {
+    this.referralCode = this.constructor.generateReferralCode();
+  }
+  next();
+});
+
+// Pre-validate middleware to keep deadline and deadlineStatus consistent
+airdropSchema.pre('validate', function(next) {
+  if (this.deadline) {
+    this.deadlineStatus = 'Confirmed';
+  } else {
+    this.deadline = null;
+    this.deadlineStatus = 'TBA';
+  }
+  next();
+});
+
+// Query middleware doing the same for updates that set a deadline, which skip validate middleware
+airdropSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+
+  [update, update.$set].forEach(fields => {
+    if (fields && Object.prototype.hasOwnProperty.call(fields, 'deadline')) {
+      fields.deadline = fields.deadline || null;
+      fields.deadlineStatus = fields.deadline ? 'Confirmed' : 'TBA';
+    }
+  });
+  next();
+});
+
+// Static method to generate a random, URL safe referral code
+airdropSchema.statics.generateReferralCode = function() {
+  return crypto.randomBytes(6).toString('base64url');
+};
 
 // Static method to get airdrops by user
 airdropSchema.statics.getByUser = function(userId) {
   return this.find({ user: userId }).sort({ createdAt: -1 });
 };
 
-// Static method to get airdrops by status for a user
-airdropSchema.statics.getByUserAndStatus = function(userId, status) {
-  return this.find({ user: userId, status }).sort({ createdAt: -1 });
+// Static method to get the airdrops of a scope (see Workspace.scopeFilter()) by status
+airdropSchema.statics.getByScopeAndStatus = function(scope, status) {
+  return this.find({ ...scope, status }).sort({ createdAt: -1 });
 };
 
-// Instance method to mark as completed
-airdropSchema.methods.markCompleted = function() {
-  this.status = 'Completed';
+// Static method to get the upcoming dates (deadline, snapshot, end) of a scope's airdrops within a time window
+airdropSchema.statics.getUpcomingDates = async function(scope, withinMs) {
+  const now = new Date();
+  const until = new Date(now.getTime() + withinMs);
+  const dateFields = {
+    deadline: 'deadline',
+    snapshotDate: 'snapshot',
+    endDate: 'end'
+  };
+
+  const airdrops = await this.find({
+    ...scope,
+    $or: Object.keys(dateFields).map(field => ({
+      [field]: { $gte: now, $lte: until }
+    }))
+  }).select('name logoUrl status ecosystem deadline deadlineStatus snapshotDate endDate');
+
+  const entries = [];
+  airdrops.forEach(airdrop => {
+    Object.entries(dateFields).forEach(([field, type]) => {
+      const date = airdrop[field];
+      if (date && date >= now && date <= until) {
+        entries.push({
+          type,
+          date,
+          msRemaining: date - now,
+          airdrop
+        });
+      }
+    });
+  });
+
+  return entries.sort((a, b) => a.msRemaining - b.msRemaining);
+};
+
+// Static method to load task progress for many airdrops with one aggregation
+airdropSchema.statics.withTaskProgress = async function(airdrops) {
+  const Task = mongoose.model('Task');
+  const progressMap = await Task.getProgressByAirdrop(airdrops.map(airdrop => airdrop._id));
+
+  airdrops.forEach(airdrop => {
+    airdrop.setTaskProgress(progressMap.get(airdrop._id.toString()));
+  });
+
+  return airdrops;
+};
+
+// Instance method to set computed task progress
+airdropSchema.methods.setTaskProgress = function(progress = {}) {
+  this.$locals.taskProgress = {
+    tasksCompleted: progress.tasksCompleted || 0,
+    totalTasks: progress.totalTasks || 0
+  };
+  return this;
+};
+
+// Instance method to set the computed focus score
+airdropSchema.methods.setFocusScore = function(score) {
+  this.$locals.focusScore = score === undefined ? null : score;
+  return this;
+};
+
+// Static method to resolve a priority from user input ('high' or 4 -> 'High')
+airdropSchema.statics.resolvePriority = function(value) {
+  return resolvePriority(value);
+};
+
+// Static method to resolve a status from user input ('snapshot-taken' -> 'Snapshot Taken')
+airdropSchema.statics.resolveStatus = function(value) {
+  if (!value) return null;
+  const normalized = String(value).toLowerCase().replace(/[-_\s]+/g, ' ').trim();
+  return STATUSES.find(status => status.toLowerCase() === normalized) || null;
+};
+
+// Instance method to check whether the status can move to the given status
+airdropSchema.methods.canTransitionTo = function(status) {
+  const allowed = STATUS_TRANSITIONS[this.status] || STATUSES;
+  return allowed.includes(status);
+};
+
+// Instance method to build a status history entry, throws if the transition is not allowed
+airdropSchema.methods.buildStatusChange = function(status, note) {
+  if (!STATUSES.includes(status)) {
+    const error = new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!this.canTransitionTo(status)) {
+    const allowed = STATUS_TRANSITIONS[this.status] || [];
+    const error = new Error(
+      `Cannot change status from '${this.status}' to '${status}'. ` +
+      (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : `'${this.status}' is a final status`)
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return { from: this.status, to: status, changedAt: new Date(), note };
+};
+
+// Instance method to move the airdrop to a new status and record it in the history
+airdropSchema.methods.transitionTo = function(status, note) {
+  const change = this.buildStatusChange(status, note);
+  this.status = status;
+  this.statusHistory.push(change);
   return this.save();
 };
 
-module.exports = mongoose.model('Airdrop', airdropSchema);
+// Instance method to mark as completed (claimed)
+airdropSchema.methods.markCompleted = function() {
+  return this.transitionTo('Claimed', 'Marked as completed');
+};
+
+// Static method to move an airdrop of a scope (see Workspace.scopeFilter()) and its tasks to the trash
+airdropSchema.statics.moveToTrash = async function(airdropId, scope) {
+  const deletedAt = new Date();
+  const airdrop = await this.findOneAndUpdate(
+    { _id: airdropId, ...scope },
+    { deletedAt },
+    { new: true }
+  );
+  if (!airdrop) return null;
+
+  // Tasks are marked so a restore only brings back the ones trashed together with the airdrop
+  await mongoose.model('Task').updateMany(
+    { airdrop: airdrop._id, deletedAt: null },
+    { deletedAt, deletedWithAirdrop: true }
+  );
+
+  return airdrop;
+};
+
+// Static method to restore an airdrop of a scope and the tasks trashed with it
+airdropSchema.statics.restoreFromTrash = async function(airdropId, scope) {
+  const airdrop = await this.findOneAndUpdate(
+    { _id: airdropId, ...scope, deletedAt: { $ne: null } },
+    { deletedAt: null },
+    { new: true }
+  );
+  if (!airdrop) return null;
+
+  const { modifiedCount } = await mongoose.model('Task').updateMany(
+    { airdrop: airdrop._id, deletedWithAirdrop: true },
+    { deletedAt: null, deletedWithAirdrop: false }
+  );
+  airdrop.$locals.restoredTasks = modifiedCount;
+
+  return airdrop;
+};
+
+// Static method to permanently delete airdrops trashed before a date,
+// together with their tasks, attachments, claims, expenses, timeline, edit history, referral clicks and share links
+airdropSchema.statics.purgeTrash = async function(before) {
+  const trashed = await this.find({ deletedAt: { $ne: null, $lte: before } }).select('_id');
+  const ids = trashed.map(airdrop => airdrop._id);
+  if (ids.length === 0) return 0;
+
+  const tasks = await mongoose.model('Task').find({ airdrop: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select('_id');
+  await mongoose.model('Attachment').removeWhere({
+    $or: [
+      { airdrop: { $in: ids } },
+      { task: { $in: tasks.map(task => task._id) } }
+    ]
+  });
+
+  await Promise.all(['Task', 'Claim', 'Expense', 'Activity', 'AirdropVersion', 'ReferralClick', 'ShareLink'].map(modelName =>
+    mongoose.model(modelName).deleteMany({ airdrop: { $in: ids } })
+  ));
+  await this.deleteMany({ _id: { $in: ids } });
+
+  return ids.length;
+};
+
+const Airdrop = mongoose.model('Airdrop', airdropSchema);
+
+Airdrop.STATUSES = STATUSES;
+Airdrop.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Airdrop.PRIORITIES = PRIORITIES;
+Airdrop.CRITERION_TYPES = CRITERION_TYPES;
+Airdrop.MAX_CRITERIA = MAX_CRITERIA;
+// Aggregation expression for the eligibilityScore virtual, to filter and sort on it.
+// It rounds halves up like Math.round() ($round would round them to even).
+Airdrop.ELIGIBILITY_SCORE_EXPRESSION = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$eligibility', []] } }, 0] },
+    {
+      $floor: {
+        $add: [{
+          $multiply: [{
+            $divide: [
+              { $size: { $filter: { input: '$eligibility', cond: '$$this.met' } } },
+              { $size: '$eligibility' }
+            ]
+          }, 100]
+        }, 0.5]
+      }
+    },
+    null
+  ]
+};
+Airdrop.LINK_FIELDS = LINK_FIELDS;
+Airdrop.CHAIN_FIELDS = 'name slug chainType chainId category explorerTxUrl explorerAddressUrl';
+Airdrop.LINK_STATUSES = LINK_STATUSES;
+
+module.exports = Airdrop;
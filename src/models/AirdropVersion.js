@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// Fields whose edits are versioned. Status follows its own lifecycle and
+// wallets are attached/detached separately, so neither can be reverted here.
+const VERSIONED_FIELDS = [
+  'name', 'description', 'ecosystem', 'chains', 'type', 'deadline', 'deadlineStatus', 'deadlineNote',
+  'estimatedValue', 'priority', 'officialLink', 'referralLink', 'logoUrl', 'bannerUrl',
+  'tags', 'notes', 'isDailyTask', 'dailyTaskNote', 'tokenSymbol', 'startDate', 'endDate',
+  'snapshotDate', 'socialMedia'
+];
+
+// Attempts at taking a free version number before an edit's history is given up
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Plain copy of a field value that can be stored and compared
+const snapshotValue = (doc, field) => {
+  const value = doc.get(field);
+  if (value === undefined) return null;
+  return value && typeof value.toObject === 'function' ? value.toObject() : value;
+};
+
+// Airdrop Version Schema - the fields one edit changed, with their old and new values
+const airdropVersionSchema = new mongoose.Schema({
+  airdrop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Airdrop',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['update', 'bulk', 'catalog', 'revert'],
+    default: 'update'
+  },
+  revertedTo: {
+    type: Number // Version restored by a revert
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: VERSIONED_FIELDS
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+airdropVersionSchema.index({ airdrop: 1, version: -1 }, { unique: true });
+
+// Static method to store the differences between two versions of an airdrop as a new version.
+// Failures are logged, never thrown, so history can't fail the edit itself.
+airdropVersionSchema.statics.record = async function(before, after, userId, options = {}) {
+  const changes = VERSIONED_FIELDS
+    .map(field => ({ field, from: snapshotValue(before, field), to: snapshotValue(after, field) }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+  if (changes.length === 0) return null;
+
+  try {
+    // Concurrent edits can take the same version number - the one losing the race
+    // gets a duplicate key error and tries again with the next number
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this.findOne({ airdrop: after._id }).sort({ version: -1 }).select('version');
+
+      try {
+        return await this.create({
+          airdrop: after._id,
+          user: userId,
+          version: latest ? latest.version + 1 : 1,
+          source: options.source || 'update',
+          revertedTo: options.revertedTo,
+          changes
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+      }
+    }
+  } catch (error) {
+    console.error('Error recording airdrop version:', error);
+    return null;
+  }
+};
+
+// Static method to get the latest version number of an airdrop (0 before the first edit)
+airdropVersionSchema.statics.getLatestVersion = async function(airdropId) {
+  const latest = await this.findOne({ airdrop: airdropId }).sort({ version: -1 }).select('version');
+  return latest ? latest.version : 0;
+};
+
+// Static method to work out the field values an airdrop had at a version,
+// by undoing every later change. Fields not changed since keep their current value.
+airdropVersionSchema.statics.getValuesAt = async function(airdropId, version) {
+  const laterVersions = await this.find({
+    airdrop: airdropId,
+    version: { $gt: version }
+  }).sort({ version: 1 });
+
+  const values = {};
+  laterVersions.forEach(laterVersion => {
+    laterVersion.changes.forEach(change => {
+      // The earliest change after the version holds the value the field had at it
+      if (!Object.prototype.hasOwnProperty.call(values, change.field)) {
+        values[change.field] = change.from;
+      }
+    });
+  });
+
+  return values;
+};
+
+const AirdropVersion = mongoose.model('AirdropVersion', airdropVersionSchema);
+
+AirdropVersion.FIELDS = VERSIONED_FIELDS;
+
+module.exports = AirdropVersion;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { getStorage } = require('../storage');
+
+// Attachment Schema - an uploaded file (e.g. a quest screenshot) linked to an airdrop and/or task
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Uploader
+    ref: 'User',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId, // Workspace of the airdrop or task, null for personal ones
+    ref: 'Workspace',
+    default: null
+  },
+  airdrop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Airdrop'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number, // in bytes
+    required: true
+  },
+  storage: {
+    type: String, // Storage backend the file was saved to
+    default: 'local'
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String // Only set for images
+  },
+  width: Number,
+  height: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot be more than 200 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.storageKey;
+      delete ret.thumbnailKey;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual fields for the download URLs
+attachmentSchema.virtual('url').get(function() {
+  return `/api/attachments/${this._id}/file`;
+});
+
+attachmentSchema.virtual('thumbnailUrl').get(function() {
+  return this.thumbnailKey ? `/api/attachments/${this._id}/thumbnail` : null;
+});
+
+// Indexes for better query performance
+attachmentSchema.index({ user: 1, airdrop: 1, createdAt: -1 });
+attachmentSchema.index({ user: 1, task: 1, createdAt: -1 });
+attachmentSchema.index({ workspace: 1, airdrop: 1, createdAt: -1 });
+attachmentSchema.index({ workspace: 1, task: 1, createdAt: -1 });
+
+// Instance method to delete the stored file and thumbnail
+attachmentSchema.methods.removeFiles = async function() {
+  const storage = getStorage(this.storage);
+  await storage.remove(this.storageKey);
+  if (this.thumbnailKey) {
+    await storage.remove(this.thumbnailKey);
+  }
+};
+
+// Static method to delete matching attachments together with their files.
+// File errors are logged so one missing file can't block the cleanup.
+attachmentSchema.statics.removeWhere = async function(filter) {
+  const attachments = await this.find(filter);
+
+  for (const attachment of attachments) {
+    try {
+      await attachment.removeFiles();
+    } catch (error) {
+      console.error('Error removing attachment file:', error);
+    }
+  }
+
+  await this.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return attachments.length;
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
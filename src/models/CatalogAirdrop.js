@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const Airdrop = require('./Airdrop');
+const socialMediaFields = require('./schemas/socialMedia');
+const chains = require('./plugins/chains');
+
+// Default task that is copied into a user's journal when the entry is cloned
+const catalogTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  isDaily: {
+    type: Boolean,
+    default: false
+  },
+  priority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High'],
+    default: 'Medium'
+  },
+  category: {
+    type: String,
+    enum: ['Testnet', 'Mainnet', 'Social', 'DeFi', 'Gaming', 'NFT', 'Bridge', 'Staking'],
+    default: 'Mainnet'
+  },
+  estimatedTime: {
+    type: Number, // in minutes
+    default: 15
+  },
+  difficulty: {
+    type: String,
+    enum: ['Easy', 'Medium', 'Hard'],
+    default: 'Easy'
+  }
+});
+
+// Fields that are offered to cloned airdrops when the catalog entry changes.
+// Personal fields (notes, tags, status, priority, wallets) are never synced.
+const SYNC_FIELDS = [
+  'name', 'description', 'ecosystem', 'chains', 'type', 'estimatedValue', 'officialLink',
+  'logoUrl', 'bannerUrl', 'tokenSymbol', 'dailyTaskNote',
+  'deadline', 'startDate', 'endDate', 'snapshotDate',
+  ...Object.keys(socialMediaFields).map(network => `socialMedia.${network}`)
+];
+
+// Compare two synced values, treating null/undefined/'' as equal and dates by time
+const normalizeSyncValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.length > 0 ? value.map(String).join(',') : null;
+  return value;
+};
+
+// Catalog Schema - curated airdrops shared by all users
+const catalogAirdropSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Airdrop name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  ecosystem: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Ecosystem cannot be more than 50 characters'],
+    default: 'Ethereum'
+  },
+  type: {
+    type: String,
+    enum: Airdrop.schema.path('type').enumValues,
+    default: 'Mainnet'
+  },
+  estimatedValue: {
+    type: String,
+    trim: true
+  },
+  officialLink: {
+    type: String,
+    required: [true, 'Official link is required'],
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return /^https?:\/\/.+/.test(url);
+      },
+      message: 'Official link must be a valid URL starting with http:// or https://'
+    }
+  },
+  logoUrl: {
+    type: String,
+    trim: true
+  },
+  bannerUrl: {
+    type: String,
+    trim: true
+  },
+  tokenSymbol: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: [10, 'Token symbol cannot be more than 10 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isDailyTask: {
+    type: Boolean,
+    default: false
+  },
+  dailyTaskNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Daily task note cannot be more than 500 characters']
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  snapshotDate: {
+    type: Date
+  },
+  socialMedia: socialMediaFields,
+  defaultTasks: [catalogTaskSchema],
+  isPublished: {
+    type: Boolean,
+    default: true
+  },
+  cloneCount: {
+    type: Number,
+    default: 0
+  },
+  revision: {
+    type: Number, // Bumped whenever synced fields or default tasks change
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Catalog entries use the global chains of the registry
+catalogAirdropSchema.plugin(chains);
+
+// Indexes for better query performance
+catalogAirdropSchema.index({ isPublished: 1, cloneCount: -1 });
+catalogAirdropSchema.index({ ecosystem: 1 });
+catalogAirdropSchema.index({ chains: 1 });
+catalogAirdropSchema.index({ tags: 1 });
+catalogAirdropSchema.index({ name: 1 });
+
+// Pre-save middleware to bump the revision when content that clones care about changes
+catalogAirdropSchema.pre('save', function(next) {
+  if (!this.isNew && (SYNC_FIELDS.some(field => this.isModified(field)) || this.isModified('defaultTasks'))) {
+    this.revision += 1;
+  }
+  next();
+});
+
+// Instance method to build the sync state stored on a cloned airdrop
+catalogAirdropSchema.methods.buildSyncState = function() {
+  return {
+    revision: this.revision,
+    syncedAt: new Date(),
+    snapshot: SYNC_FIELDS.map(field => ({ field, value: this.get(field) })),
+    taskIds: this.defaultTasks.map(task => task._id)
+  };
+};
+
+// Instance method to diff this entry against an airdrop cloned from it.
+// Only fields that changed in the catalog since the airdrop last synced are reported.
+catalogAirdropSchema.methods.diffAgainst = function(airdrop) {
+  const sync = airdrop.catalogSync || {};
+  const snapshot = new Map((sync.snapshot || []).map(entry => [entry.field, entry.value]));
+  // Airdrops cloned before sync state existed use their own values as the baseline
+  const hasSnapshot = snapshot.size > 0;
+  const knownTaskIds = new Set((sync.taskIds || []).map(id => id.toString()));
+
+  const fields = [];
+  SYNC_FIELDS.forEach(field => {
+    const previous = hasSnapshot ? snapshot.get(field) : airdrop.get(field);
+    const current = this.get(field);
+
+    if (normalizeSyncValue(previous) !== normalizeSyncValue(current)) {
+      const yours = airdrop.get(field);
+      fields.push({
+        field,
+        previous: previous === undefined ? null : previous,
+        current: current === undefined ? null : current,
+        yours: yours === undefined ? null : yours,
+        modifiedByYou: normalizeSyncValue(yours) !== normalizeSyncValue(previous)
+      });
+    }
+  });
+
+  const newTasks = this.defaultTasks.filter(task => !knownTaskIds.has(task._id.toString()));
+
+  return {
+    catalogEntry: this._id,
+    revision: this.revision,
+    syncedRevision: sync.revision || 0,
+    hasChanges: fields.length > 0 || newTasks.length > 0,
+    fields,
+    newTasks
+  };
+};
+
+// Instance method to build the fields of a user's airdrop cloned from this entry
+catalogAirdropSchema.methods.toAirdropData = function() {
+  const { socialMedia } = this.toObject();
+
+  return {
+    name: this.name,
+    description: this.description,
+    ecosystem: this.ecosystem,
+    chains: [...this.chains],
+    type: this.type,
+    estimatedValue: this.estimatedValue,
+    officialLink: this.officialLink,
+    logoUrl: this.logoUrl,
+    bannerUrl: this.bannerUrl,
+    tokenSymbol: this.tokenSymbol,
+    tags: [...this.tags],
+    isDailyTask: this.isDailyTask,
+    dailyTaskNote: this.dailyTaskNote,
+    deadline: this.deadline,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    snapshotDate: this.snapshotDate,
+    socialMedia
+  };
+};
+
+const CatalogAirdrop = mongoose.model('CatalogAirdrop', catalogAirdropSchema);
+
+CatalogAirdrop.SYNC_FIELDS = SYNC_FIELDS;
+
+module.exports = CatalogAirdrop;
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const DEFAULT_CHAINS = require('../seeds/chains');
+
+const CHAIN_TYPES = ['EVM', 'SVM', 'Move', 'Other'];
+const MULTI_CHAIN = 'Multi-chain';
+
+// URL safe key of a chain name, used to look chains up by name ('zkSync Era' -> 'zksync-era')
+const slugify = (name) => String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Explorer URL templates must be http(s) URLs containing their placeholder
+const explorerTemplate = (placeholder) => ({
+  type: String,
+  trim: true,
+  validate: {
+    validator: function(url) {
+      return !url || (/^https?:\/\/.+/.test(url) && url.includes(placeholder));
+    },
+    message: `Explorer URL must start with http:// or https:// and contain ${placeholder}`
+  }
+});
+
+// Chain Schema - registry of chains airdrops run on. Entries without a user are
+// global and managed by admins; users can add their own next to them.
+const chainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Chain name is required'],
+    trim: true,
+    maxlength: [50, 'Chain name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  chainType: {
+    type: String,
+    enum: {
+      values: CHAIN_TYPES,
+      message: `Chain type must be one of: ${CHAIN_TYPES.join(', ')}`
+    },
+    default: 'EVM'
+  },
+  chainId: {
+    type: String, // Numeric for EVM chains, network identifier elsewhere
+    trim: true,
+    maxlength: [100, 'Chain ID cannot be more than 100 characters'],
+    validate: {
+      validator: function(chainId) {
+        return !chainId || this.chainType !== 'EVM' || /^\d+$/.test(chainId);
+      },
+      message: 'EVM chain IDs must be positive integers'
+    }
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category cannot be more than 50 characters'],
+    default: 'Other'
+  },
+  explorerTxUrl: explorerTemplate('{hash}'),
+  explorerAddressUrl: explorerTemplate('{address}'),
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // null for global chains
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual field for chains everyone can use
+chainSchema.virtual('isGlobal').get(function() {
+  return !this.user;
+});
+
+// Each name exists once among the global chains and once per user
+chainSchema.index({ user: 1, slug: 1 }, { unique: true });
+
+// Pre-validate middleware to derive the slug from the name
+chainSchema.pre('validate', function(next) {
+  if (this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Static method to build the filter for chains a user can see (global ones and their own)
+chainSchema.statics.visibleTo = function(userId) {
+  return userId ? { $or: [{ user: null }, { user: userId }] } : { user: null };
+};
+
+// Static method to match chain references (IDs, slugs or names) against a list of chains.
+// Global chains win when a user's own chain has the same name.
+chainSchema.statics.matchRefs = function(chains, refs) {
+  const byKey = new Map();
+  chains.forEach(chain => {
+    [chain._id.toString(), chain.slug].forEach(key => {
+      if (!byKey.has(key) || !chain.user) {
+        byKey.set(key, chain);
+      }
+    });
+  });
+
+  const matched = [];
+  const unknown = [];
+  refs.forEach(ref => {
+    const chain = byKey.get(String(ref)) || byKey.get(slugify(ref));
+    if (!chain) {
+      unknown.push(ref);
+    } else if (!matched.includes(chain)) {
+      matched.push(chain);
+    }
+  });
+
+  return { matched, unknown };
+};
+
+// Static method to resolve chain references visible to a user, in the order given.
+// Unknown references are rejected with a 400 error.
+chainSchema.statics.resolveRefs = async function(refs, userId) {
+  const list = (Array.isArray(refs) ? refs : [refs]).filter(ref => ref !== undefined && ref !== null && ref !== '');
+  if (list.length === 0) return [];
+
+  const ids = list.filter(ref => mongoose.isValidObjectId(ref));
+  const chains = await this.find({
+    $and: [
+      this.visibleTo(userId),
+      { $or: [{ _id: { $in: ids } }, { slug: { $in: list.map(slugify) } }] }
+    ]
+  });
+
+  const { matched, unknown } = this.matchRefs(chains, list);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown chains: ${unknown.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return matched;
+};
+
+// Static method to get the ecosystem label of a set of chains: the chain's name,
+// 'Multi-chain' for several and null for none
+chainSchema.statics.ecosystemFor = function(chains) {
+  if (chains.length === 0) return null;
+  return chains.length === 1 ? chains[0].name : MULTI_CHAIN;
+};
+
+// Static method to create the default global chains when there are none yet
+chainSchema.statics.ensureDefaults = async function() {
+  if (await this.exists({ user: null })) return 0;
+
+  await this.bulkWrite(DEFAULT_CHAINS.map(chain => ({
+    updateOne: {
+      filter: { user: null, slug: slugify(chain.name) },
+      update: { $setOnInsert: { ...chain, slug: slugify(chain.name), user: null } },
+      upsert: true
+    }
+  })));
+  return DEFAULT_CHAINS.length;
+};
+
+const Chain = mongoose.model('Chain', chainSchema);
+
+Chain.TYPES = CHAIN_TYPES;
+Chain.MULTI_CHAIN = MULTI_CHAIN;
+Chain.slugify = slugify;
+
+module.exports = Chain;
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { isValidTxHash } = require('../utils/addressValidation');
+
+// Claim Schema - a payout received from an airdrop
+const claimSchema = new mongoose.Schema({
+  airdrop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Airdrop',
+    required: [true, 'Airdrop is required']
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenSymbol: {
+    type: String,
+    required: [true, 'Token symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [10, 'Token symbol cannot be more than 10 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Token amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  txHash: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(hash) {
+        return !hash || isValidTxHash(hash);
+      },
+      message: 'Transaction hash must be a valid EVM hash or Solana signature'
+    }
+  },
+  chain: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Chain cannot be more than 50 characters']
+  },
+  usdValue: {
+    type: Number, // USD value of the claimed tokens at claim time
+    min: [0, 'USD value cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual field for token price at claim time
+claimSchema.virtual('usdPricePerToken').get(function() {
+  if (this.usdValue === undefined || this.usdValue === null || !this.amount) return null;
+  return this.usdValue / this.amount;
+});
+
+// Indexes for better query performance
+claimSchema.index({ user: 1, claimedAt: -1 });
+claimSchema.index({ airdrop: 1, claimedAt: -1 });
+claimSchema.index({ wallet: 1 });
+claimSchema.index({ txHash: 1 });
+
+// Static method to get claims by user
+claimSchema.statics.getByUser = function(userId, options = {}) {
+  const query = { user: userId };
+
+  if (options.airdrop) {
+    query.airdrop = options.airdrop;
+  }
+  if (options.wallet) {
+    query.wallet = options.wallet;
+  }
+  if (options.tokenSymbol) {
+    query.tokenSymbol = options.tokenSymbol.toUpperCase();
+  }
+
+  return this.find(query)
+    .populate('airdrop', 'name logoUrl')
+    .populate('wallet', 'label address chainType')
+    .sort({ claimedAt: -1 });
+};
+
+// Static method to get realized USD totals for a user, optionally only on the given airdrops
+claimSchema.statics.getTotalsByUser = async function(userId, airdropIds) {
+  const match = { user: new mongoose.Types.ObjectId(userId) };
+  if (airdropIds) {
+    match.airdrop = { $in: airdropIds };
+  }
+
+  const [totals] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        totalUsd: { $sum: { $ifNull: ['$usdValue', 0] } },
+        claimCount: { $sum: 1 },
+        airdrops: { $addToSet: '$airdrop' }
+      }
+    }
+  ]);
+
+  return {
+    totalUsd: totals ? totals.totalUsd : 0,
+    claimCount: totals ? totals.claimCount : 0,
+    claimedAirdrops: totals ? totals.airdrops.length : 0
+  };
+};
+
+// Match stage for the claims on the given airdrops, optionally only one user's
+const buildAirdropMatch = (airdropIds, userId) => {
+  const match = { airdrop: { $in: airdropIds } };
+  if (userId) {
+    match.user = new mongoose.Types.ObjectId(userId);
+  }
+  return match;
+};
+
+// Static method to sum rewards per airdrop on the given airdrops, by one user or (userId null) by everyone
+claimSchema.statics.sumByAirdrop = function(airdropIds, userId = null) {
+  return this.aggregate([
+    { $match: buildAirdropMatch(airdropIds, userId) },
+    {
+      $group: {
+        _id: '$airdrop',
+        totalUsd: { $sum: { $ifNull: ['$usdValue', 0] } },
+        count: { $sum: 1 },
+        unpriced: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$usdValue', null] }, null] }, 1, 0] } }
+      }
+    }
+  ]);
+};
+
+// Static method to sum rewards per period ('%Y-%m' style date format) on the given airdrops,
+// by one user or (userId null) by everyone
+claimSchema.statics.sumByPeriod = function(airdropIds, userId, format) {
+  return this.aggregate([
+    { $match: buildAirdropMatch(airdropIds, userId) },
+    {
+      $group: {
+        _id: { $dateToString: { format, date: '$claimedAt' } },
+        totalUsd: { $sum: { $ifNull: ['$usdValue', 0] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Claim', claimSchema);
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { isValidTxHash } = require('../utils/addressValidation');
+
+const EXPENSE_CATEGORIES = ['gas', 'bridge', 'mint', 'swap', 'purchase', 'subscription', 'other'];
+
+// Expense Schema - a cost paid while farming an airdrop
+const expenseSchema = new mongoose.Schema({
+  airdrop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Airdrop',
+    required: [true, 'Airdrop is required']
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: EXPENSE_CATEGORIES,
+    default: 'gas'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String, // 'USD' or the token paid with, e.g. 'ETH'
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    maxlength: [10, 'Currency cannot be more than 10 characters']
+  },
+  usdValue: {
+    type: Number, // USD value at the time of spending, used for ROI
+    min: [0, 'USD value cannot be negative']
+  },
+  chain: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Chain cannot be more than 50 characters']
+  },
+  txHash: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(hash) {
+        return !hash || isValidTxHash(hash);
+      },
+      message: 'Transaction hash must be a valid EVM hash or Solana signature'
+    }
+  },
+  spentAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+expenseSchema.index({ user: 1, spentAt: -1 });
+expenseSchema.index({ airdrop: 1, spentAt: -1 });
+expenseSchema.index({ wallet: 1 });
+
+// Pre-validate middleware - USD expenses are their own USD value
+expenseSchema.pre('validate', function(next) {
+  const missingUsd = this.usdValue === undefined || this.usdValue === null;
+  if (this.currency === 'USD' && (missingUsd || (this.isModified('amount') && !this.isModified('usdValue')))) {
+    this.usdValue = this.amount;
+  }
+  next();
+});
+
+// Static method to get expenses by user
+expenseSchema.statics.getByUser = function(userId, options = {}) {
+  const query = { user: userId };
+
+  if (options.airdrop) {
+    query.airdrop = options.airdrop;
+  }
+  if (options.wallet) {
+    query.wallet = options.wallet;
+  }
+  if (options.category) {
+    query.category = options.category;
+  }
+
+  return this.find(query)
+    .populate('airdrop', 'name logoUrl')
+    .populate('wallet', 'label address chainType')
+    .sort({ spentAt: -1 });
+};
+
+// Static method to get total USD spend for a user, optionally only on the given airdrops
+expenseSchema.statics.getTotalsByUser = async function(userId, airdropIds) {
+  const match = { user: new mongoose.Types.ObjectId(userId) };
+  if (airdropIds) {
+    match.airdrop = { $in: airdropIds };
+  }
+
+  const [totals] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        totalUsd: { $sum: { $ifNull: ['$usdValue', 0] } },
+        expenseCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return {
+    totalUsd: totals ? totals.totalUsd : 0,
+    expenseCount: totals ? totals.expenseCount : 0
+  };
+};
+
+// Match stage for the expenses on the given airdrops, optionally only one user's
+const buildAirdropMatch = (airdropIds, userId) => {
+  const match = { airdrop: { $in: airdropIds } };
+  if (userId) {
+    match.user = new mongoose.Types.ObjectId(userId);
+  }
+  return match;
+};
+
+// Static method to sum spend per airdrop on the given airdrops, by one user or (userId null) by everyone
+expenseSchema.statics.sumByAirdrop = function(airdropIds, userId = null) {
+  return this.aggregate([
+    { $match: buildAirdropMatch(airdropIds, userId) },
+    {
+      $group: {
+        _id: '$airdrop',
+        totalUsd: { $sum: { $ifNull: ['$usdValue', 0] } },
+        count: { $sum: 1 },
+        unpriced: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$usdValue', null] }, null] }, 1, 0] } }
+      }
+    }
+  ]);
+};
+
+// Static method to sum spend per period ('%Y-%m' style date format) on the given airdrops,
+// by one user or (userId null) by everyone
+expenseSchema.statics.sumByPeriod = function(airdropIds, userId, format) {
+  return this.aggregate([
+    { $match: buildAirdropMatch(airdropIds, userId) },
+    {
+      $group: {
+        _id: { $dateToString: { format, date: '$spentAt' } },
+        totalUsd: { $sum: { $ifNull: ['$usdValue', 0] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+const Expense = mongoose.model('Expense', expenseSchema);
+
+Expense.CATEGORIES = EXPENSE_CATEGORIES;
+
+module.exports = Expense;
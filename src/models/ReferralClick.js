@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const DEVICES = ['desktop', 'mobile', 'tablet', 'bot', 'unknown'];
+
+// Referral Click Schema - one visit to an airdrop's /r/:code redirect.
+// Only coarse details are kept: the referring site and browser/OS/device family, no IP.
+const referralClickSchema = new mongoose.Schema({
+  airdrop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Airdrop',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Owner of the airdrop
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  referrer: {
+    type: String, // Host name of the referring page, null for direct visits
+    default: null
+  },
+  browser: {
+    type: String,
+    default: 'Other'
+  },
+  os: {
+    type: String,
+    default: 'Other'
+  },
+  device: {
+    type: String,
+    enum: DEVICES,
+    default: 'unknown'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+referralClickSchema.index({ airdrop: 1, createdAt: -1 });
+referralClickSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to log a click. Failures are logged, never thrown, so tracking can't break the redirect.
+referralClickSchema.statics.record = async function(click) {
+  try {
+    return await this.create(click);
+  } catch (error) {
+    console.error('Error recording referral click:', error);
+    return null;
+  }
+};
+
+// Static method to get click statistics for an airdrop. Bot clicks (link previews, crawlers)
+// are only counted in botClicks; every other figure is based on human clicks.
+referralClickSchema.statics.getStats = async function(airdropId, since) {
+  const inPeriod = { $match: { device: { $ne: 'bot' }, createdAt: { $gte: since } } };
+  const countBy = (field) => [
+    inPeriod,
+    { $group: { _id: `$${field}`, clicks: { $sum: 1 } } },
+    { $sort: { clicks: -1, _id: 1 } },
+    { $limit: 10 },
+    { $project: { _id: 0, [field]: '$_id', clicks: 1 } }
+  ];
+
+  const [stats] = await this.aggregate([
+    { $match: { airdrop: new mongoose.Types.ObjectId(airdropId) } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalClicks: { $sum: { $cond: [{ $eq: ['$device', 'bot'] }, 0, 1] } },
+              botClicks: { $sum: { $cond: [{ $eq: ['$device', 'bot'] }, 1, 0] } },
+              firstClickAt: { $min: '$createdAt' },
+              lastClickAt: { $max: '$createdAt' }
+            }
+          }
+        ],
+        daily: [
+          inPeriod,
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+              clicks: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, date: '$_id', clicks: 1 } }
+        ],
+        referrers: countBy('referrer'),
+        browsers: countBy('browser'),
+        os: countBy('os'),
+        devices: countBy('device')
+      }
+    }
+  ]);
+
+  const totals = stats.totals[0] || {};
+
+  return {
+    totalClicks: totals.totalClicks || 0,
+    botClicks: totals.botClicks || 0,
+    firstClickAt: totals.firstClickAt || null,
+    lastClickAt: totals.lastClickAt || null,
+    periodClicks: stats.daily.reduce((sum, day) => sum + day.clicks, 0),
+    daily: stats.daily,
+    referrers: stats.referrers,
+    browsers: stats.browsers,
+    os: stats.os,
+    devices: stats.devices
+  };
+};
+
+const ReferralClick = mongoose.model('ReferralClick', referralClickSchema);
+
+ReferralClick.DEVICES = DEVICES;
+
+module.exports = ReferralClick;
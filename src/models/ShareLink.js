@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Private airdrop data a share link leaves out unless the owner opts in
+const SHARE_PRIVATE_FIELDS = ['notes', 'referralLink', 'wallets'];
+
+// Share Link Schema - read-only public link to one airdrop, or to every airdrop
+// of the owner carrying a tag (a collection)
+const shareLinkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String, // Secret part of the public URL
+    required: true
+  },
+  airdrop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Airdrop',
+    default: null
+  },
+  tag: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  include: [{
+    type: String,
+    enum: {
+      values: SHARE_PRIVATE_FIELDS,
+      message: `Shared private fields must be one of: ${SHARE_PRIVATE_FIELDS.join(', ')}`
+    }
+  }],
+  expiresAt: {
+    type: Date, // null for links that don't expire
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual field for what the link shares
+shareLinkSchema.virtual('scope').get(function() {
+  return this.airdrop ? 'airdrop' : 'collection';
+});
+
+// Virtual field for links past their expiry date
+shareLinkSchema.virtual('isExpired').get(function() {
+  return !!(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Index for better query performance
+shareLinkSchema.index({ token: 1 }, { unique: true });
+shareLinkSchema.index({ user: 1, createdAt: -1 });
+shareLinkSchema.index({ airdrop: 1 });
+
+// Pre-validate middleware to generate the token and check the link shares exactly one thing
+shareLinkSchema.pre('validate', function(next) {
+  if (!this.token) {
+    this.token = this.constructor.generateToken();
+  }
+  if (!this.airdrop === !this.tag) {
+    this.invalidate('airdrop', 'A share link needs either an airdrop or a tag');
+  }
+  next();
+});
+
+// Static method to generate a random, URL safe token
+shareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(16).toString('base64url');
+};
+
+// Instance method to count a view - failures are logged, never thrown, so the view still works
+shareLinkSchema.methods.recordView = async function() {
+  try {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error('Error recording share link view:', error);
+  }
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+ShareLink.PRIVATE_FIELDS = SHARE_PRIVATE_FIELDS;
+
+module.exports = ShareLink;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 // Task Schema
 const taskSchema = new mongoose.Schema({
@@ -48,10 +49,15 @@ const taskSchema = new mongoose.Schema({
     ref: 'Airdrop'
   },
   user: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: mongoose.Schema.Types.ObjectId, // Creator - the owner of personal tasks
     ref: 'User',
     required: true
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId, // null for tasks in the user's personal journal
+    ref: 'Workspace',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true,
@@ -74,6 +80,10 @@ const taskSchema = new mongoose.Schema({
   reward: {
     type: String,
     trim: true
+  },
+  deletedWithAirdrop: {
+    type: Boolean, // Trashed together with its airdrop and restored with it
+    default: false
   }
 }, {
   timestamps: true,
@@ -114,13 +124,32 @@ taskSchema.virtual('timeSinceCompletion').get(function() {
   }
 });
 
+// Deleted tasks go to the trash first
+taskSchema.plugin(softDelete);
+
 // Indexes for better query performance
 taskSchema.index({ user: 1, completed: 1, createdAt: -1 });
 taskSchema.index({ user: 1, isDaily: 1, createdAt: -1 });
+// Sortable list fields end in _id, the tie-breaker cursor pagination continues from
+taskSchema.index({ user: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ user: 1, updatedAt: -1, _id: -1 });
+taskSchema.index({ user: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ user: 1, title: 1, _id: 1 });
+taskSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ workspace: 1, updatedAt: -1, _id: -1 });
+taskSchema.index({ workspace: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ workspace: 1, title: 1, _id: 1 });
 taskSchema.index({ project: 1 });
 taskSchema.index({ airdrop: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ category: 1 });
+taskSchema.index(
+  { title: 'text', description: 'text', notes: 'text' },
+  {
+    name: 'task_text_search',
+    weights: { title: 5, description: 2, notes: 1 }
+  }
+);
 
 // Static method to get tasks by user
 taskSchema.statics.getByUser = function(userId, options = {}) {
@@ -145,15 +174,15 @@ taskSchema.statics.getByUser = function(userId, options = {}) {
     .sort({ completed: 1, createdAt: -1 });
 };
 
-// Static method to get today's tasks
-taskSchema.statics.getTodaysTasks = function(userId) {
+// Static method to get today's tasks of a scope (see Workspace.scopeFilter())
+taskSchema.statics.getTodaysTasks = function(scope) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   const tomorrow = new Date(today);
   tomorrow.setDate(tomorrow.getDate() + 1);
   
   return this.find({
-    user: userId,
+    ...scope,
     $or: [
       { isDaily: true },
       { 
@@ -168,16 +197,43 @@ taskSchema.statics.getTodaysTasks = function(userId) {
   .sort({ completed: 1, priority: -1, createdAt: -1 });
 };
 
-// Static method to get daily tasks
-taskSchema.statics.getDailyTasks = function(userId) {
+// Static method to get the daily tasks of a scope
+taskSchema.statics.getDailyTasks = function(scope) {
   return this.find({ 
-    user: userId, 
+    ...scope, 
     isDaily: true 
   })
   .populate('airdrop', 'name logoUrl')
   .sort({ completed: 1, createdAt: -1 });
 };
 
+// Static method to count completed/total tasks per airdrop in one aggregation
+taskSchema.statics.getProgressByAirdrop = async function(airdropIds) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        airdrop: { $in: airdropIds.map(id => new mongoose.Types.ObjectId(id)) }
+      }
+    },
+    {
+      $group: {
+        _id: '$airdrop',
+        totalTasks: { $sum: 1 },
+        tasksCompleted: { $sum: { $cond: ['$completed', 1, 0] } }
+      }
+    }
+  ]);
+
+  const progressMap = new Map();
+  results.forEach(result => {
+    progressMap.set(result._id.toString(), {
+      tasksCompleted: result.tasksCompleted,
+      totalTasks: result.totalTasks
+    });
+  });
+  return progressMap;
+};
+
 // Instance method to mark as completed
 taskSchema.methods.markCompleted = function() {
   this.completed = true;
@@ -204,4 +260,15 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+// Static method to permanently delete tasks trashed before a date, with their attachments
+taskSchema.statics.purgeTrash = async function(before) {
+  const trashed = await this.find({ deletedAt: { $ne: null, $lte: before } }).select('_id');
+  const ids = trashed.map(task => task._id);
+  if (ids.length === 0) return 0;
+
+  await mongoose.model('Attachment').removeWhere({ task: { $in: ids } });
+  const { deletedCount } = await this.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+};
+
 module.exports = mongoose.model('Task', taskSchema);
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const validator = require('validator');
+const { DEFAULT_FOCUS_WEIGHTS, FOCUS_FACTORS } = require('../utils/focusScore');
 
 // User Schema for custom authentication
 const userSchema = new mongoose.Schema({
@@ -61,6 +62,11 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetToken: String,
   passwordResetExpire: Date,
+  calendarToken: {
+    type: String, // SHA-256 of the secret in the calendar feed URL
+    select: false
+  },
+  calendarTokenCreatedAt: Date,
   passwordChangedAt: Date,
   loginAttempts: {
     type: Number,
@@ -81,12 +87,19 @@ const userSchema = new mongoose.Schema({
     defaultCurrency: {
       type: String,
       default: 'USD'
-    }
+    },
+    // How much each factor counts in airdrop focus scores (0-10)
+    focusWeights: Object.fromEntries(FOCUS_FACTORS.map(factor => [factor, {
+      type: Number,
+      min: [0, 'Focus weights cannot be negative'],
+      max: [10, 'Focus weights cannot be more than 10'],
+      default: DEFAULT_FOCUS_WEIGHTS[factor]
+    }]))
   },
   stats: {
     totalAirdrops: { type: Number, default: 0 },
     completedAirdrops: { type: Number, default: 0 },
-    totalRewards: { type: String, default: '0' }
+    totalRewards: { type: Number, default: 0 } // Realized USD value of all claims
   }
 }, {
   timestamps: true,
@@ -98,6 +111,10 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+// Sortable fields of the admin user list, ending in the _id tie-breaker of cursor pagination
+userSchema.index({ isActive: 1, createdAt: -1, _id: -1 });
+userSchema.index({ isActive: 1, lastLoginAt: -1, _id: -1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -173,6 +190,30 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Instance method to generate the secret token of the calendar feed.
+// Only its hash is stored, so a new token replaces (and revokes) the old one.
+userSchema.methods.createCalendarToken = function() {
+  const calendarToken = crypto.randomBytes(24).toString('base64url');
+
+  this.calendarToken = crypto
+    .createHash('sha256')
+    .update(calendarToken)
+    .digest('hex');
+  this.calendarTokenCreatedAt = new Date();
+
+  return calendarToken;
+};
+
+// Static method to find the active user a calendar feed token belongs to
+userSchema.statics.findByCalendarToken = function(token) {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(String(token))
+    .digest('hex');
+
+  return this.findOne({ calendarToken: hashedToken, isActive: true });
+};
+
 // Instance method to handle failed login attempts
 userSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
@@ -203,20 +244,22 @@ userSchema.methods.resetLoginAttempts = function() {
 // Instance method to update user stats
 userSchema.methods.updateStats = async function() {
   const Airdrop = mongoose.model('Airdrop');
+  const Claim = mongoose.model('Claim');
   
   const totalAirdrops = await Airdrop.countDocuments({ 
-    createdBy: this._id,
-    isActive: true 
+    user: this._id
   });
   
   const completedAirdrops = await Airdrop.countDocuments({ 
-    createdBy: this._id,
-    status: 'completed',
-    isActive: true 
+    user: this._id,
+    status: 'Claimed'
   });
+
+  const claimTotals = await Claim.getTotalsByUser(this._id);
   
   this.stats.totalAirdrops = totalAirdrops;
   this.stats.completedAirdrops = completedAirdrops;
+  this.stats.totalRewards = claimTotals.totalUsd;
   
   return this.save();
 };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const escapeRegex = require('../utils/escapeRegex');
 
 // User Tags Schema
 const userTagSchema = new mongoose.Schema({
@@ -20,11 +21,18 @@ const userTagSchema = new mongoose.Schema({
     }
   },
   userId: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: mongoose.Schema.Types.ObjectId, // Not set for workspace tags, which belong to the workspace
     ref: 'User',
-    required: true,
+    required: function() {
+      return !this.workspace;
+    },
     index: true
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
   isDefault: {
     type: Boolean,
     default: false
@@ -39,11 +47,15 @@ const userTagSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Compound index to ensure unique tag names per user
-userTagSchema.index({ name: 1, userId: 1 }, { unique: true });
+// Compound index to ensure unique tag names per user and per workspace
+userTagSchema.index({ name: 1, userId: 1, workspace: 1 }, { unique: true });
 
-// Index for better query performance
-userTagSchema.index({ userId: 1, usageCount: -1 });
+// Indexes for the sortable list fields, ending in the _id tie-breaker of cursor pagination
+userTagSchema.index({ userId: 1, usageCount: -1, _id: -1 });
+userTagSchema.index({ userId: 1, name: 1, _id: 1 });
+userTagSchema.index({ workspace: 1, usageCount: -1, _id: -1 });
+userTagSchema.index({ workspace: 1, name: 1, _id: 1 });
+userTagSchema.index({ name: 'text' }, { name: 'tag_text_search' });
 
 // Pre-save middleware to ensure lowercase name
 userTagSchema.pre('save', function(next) {
@@ -53,16 +65,22 @@ userTagSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to get user's tags
-userTagSchema.statics.getUserTags = function(userId, options = {}) {
-  const query = { userId };
+// Static method to get the tags of a scope (see Workspace.scopeFilter())
+userTagSchema.statics.getUserTags = function(scope, options = {}) {
+  const query = { ...scope };
   
   if (options.search) {
-    query.name = new RegExp(options.search, 'i');
+    query.name = new RegExp(escapeRegex(options.search), 'i');
+  }
+
+  // Continue after a pagination cursor
+  if (options.after) {
+    query.$and = [options.after];
   }
   
   return this.find(query)
     .sort(options.sortBy || { usageCount: -1, name: 1 })
+    .skip(options.skip || 0)
     .limit(options.limit || 100);
 };
 
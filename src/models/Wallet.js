@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { CHAIN_TYPES, isValidAddress, normalizeAddress } = require('../utils/addressValidation');
+
+// Wallet Schema
+const walletSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Wallet label is required'],
+    trim: true,
+    maxlength: [50, 'Label cannot be more than 50 characters']
+  },
+  chainType: {
+    type: String,
+    enum: CHAIN_TYPES,
+    default: 'EVM'
+  },
+  address: {
+    type: String,
+    required: [true, 'Wallet address is required'],
+    trim: true,
+    validate: {
+      validator: function(address) {
+        return isValidAddress(address, this.chainType);
+      },
+      message: props => `${props.value} is not a valid wallet address for the selected chain`
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual field for a shortened address (e.g. 0x5aAe...BeAed)
+walletSchema.virtual('shortAddress').get(function() {
+  if (!this.address || this.address.length < 12) return this.address;
+  return `${this.address.slice(0, 6)}...${this.address.slice(-4)}`;
+});
+
+// Each address can only be registered once per user and chain type
+walletSchema.index({ user: 1, chainType: 1, address: 1 }, { unique: true });
+walletSchema.index({ user: 1, createdAt: -1 });
+
+// Pre-validate middleware to store addresses in their canonical form
+walletSchema.pre('validate', function(next) {
+  if (this.address && (this.isModified('address') || this.isModified('chainType'))) {
+    this.address = normalizeAddress(this.address.trim(), this.chainType);
+  }
+  next();
+});
+
+// Static method to get wallets by user
+walletSchema.statics.getByUser = function(userId, options = {}) {
+  const query = { user: userId };
+
+  if (options.chainType) {
+    query.chainType = options.chainType;
+  }
+  if (options.isActive !== undefined) {
+    query.isActive = options.isActive;
+  }
+
+  return this.find(query).sort({ createdAt: -1 });
+};
+
+// Static method to check that all given wallet IDs belong to the user
+walletSchema.statics.belongToUser = async function(walletIds, userId) {
+  const uniqueIds = [...new Set(walletIds.map(id => id.toString()))];
+  const count = await this.countDocuments({
+    _id: { $in: uniqueIds },
+    user: userId
+  });
+  return count === uniqueIds.length;
+};
+
+module.exports = mongoose.model('Wallet', walletSchema);
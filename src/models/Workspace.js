@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Workspace roles, from least to most access: viewers read, editors also change
+// airdrops, tasks and tags, owners also manage the workspace and its members
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+// Workspace Schema - airdrops, tasks and tags shared by a team
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [60, 'Workspace name cannot be more than 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters']
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: WORKSPACE_ROLES,
+        message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+      },
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+workspaceSchema.index({ 'members.user': 1 });
+
+// Pre-validate middleware to keep one entry per member and at least one owner
+workspaceSchema.pre('validate', function(next) {
+  const userIds = this.members.map(member => member.user.toString());
+  if (new Set(userIds).size !== userIds.length) {
+    this.invalidate('members', 'A user can only be a member once');
+  }
+  if (!this.members.some(member => member.role === 'owner')) {
+    this.invalidate('members', 'A workspace needs at least one owner');
+  }
+  next();
+});
+
+// Static method to get the workspaces a user is a member of
+workspaceSchema.statics.getForUser = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ name: 1 });
+};
+
+// Static method to check whether a role grants at least the access of another
+workspaceSchema.statics.roleAtLeast = function(role, minimumRole) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minimumRole);
+};
+
+// Static method to build the filter for the documents in scope: the user's personal ones,
+// or every one of the workspace. userPath is the field holding the user ('userId' for tags).
+workspaceSchema.statics.scopeFilter = function(userId, workspace, userPath = 'user') {
+  return workspace
+    ? { workspace: workspace._id }
+    : { [userPath]: userId, workspace: null };
+};
+
+// Instance method to get a member's entry (null for non-members)
+workspaceSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user.equals(userId)) || null;
+};
+
+// Instance method to get a member's role (null for non-members)
+workspaceSchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Chains plugin - links documents to chains in the registry and keeps the
+// legacy ecosystem label in sync: the chain's name, or 'Multi-chain' for several.
+// Documents given only an ecosystem name are linked to the registry chain of that name,
+// looked up among the chains visible to options.userPath (global chains only without it).
+const chains = (schema, options = {}) => {
+  schema.add({
+    chains: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chain'
+    }]
+  });
+
+  schema.pre('validate', async function() {
+    const Chain = mongoose.model('Chain');
+
+    if (this.isModified('chains') && this.chains.length > 0) {
+      if (this.chains.length > 1) {
+        this.ecosystem = Chain.MULTI_CHAIN;
+      } else {
+        const chain = await Chain.findById(this.chains[0]).select('name');
+        if (chain) {
+          this.ecosystem = chain.name;
+        }
+      }
+      return;
+    }
+
+    // Setting only the ecosystem (as older clients do) makes it the single chain
+    const ecosystemChanged = this.isNew || this.isModified('ecosystem');
+    if (!ecosystemChanged || !this.ecosystem || this.ecosystem === Chain.MULTI_CHAIN) {
+      return;
+    }
+
+    const userId = options.userPath ? this.get(options.userPath) : null;
+    const [chain] = await Chain.resolveRefs(this.ecosystem, userId).catch(() => []);
+    if (chain) {
+      this.chains = [chain._id];
+      this.ecosystem = chain.name;
+    } else {
+      this.invalidate('ecosystem', `Unknown chain '${this.ecosystem}'`, this.ecosystem);
+    }
+  });
+};
+
+module.exports = chains;
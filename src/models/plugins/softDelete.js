@@ -0,0 +1,40 @@
+// Soft delete plugin - deleting sets deletedAt instead of removing the document.
+// Reads skip deleted documents unless the filter mentions deletedAt itself,
+// which is how the trash listing and restore find them, or the query is run
+// with the withDeleted option (e.g. to populate references to trashed documents).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ user: 1, deletedAt: 1 });
+
+  const excludeDeleted = function() {
+    if (this.getOptions().withDeleted) return;
+
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  };
+
+  schema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'findOneAndDelete'], excludeDeleted);
+
+  // Merge into a leading $match so pipelines starting with $text keep it first
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const firstStage = pipeline[0];
+
+    if (firstStage && firstStage.$match) {
+      if (!Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt')) {
+        firstStage.$match.deletedAt = null;
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,65 @@
+// Social media links shared by airdrops and catalog entries
+const socialMediaFields = {
+  twitter: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\/(www\.)?(twitter\.com|x\.com)\/.+/.test(url);
+      },
+      message: 'Twitter must be a valid Twitter/X URL'
+    }
+  },
+  telegram: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\/(www\.)?t\.me\/.+/.test(url);
+      },
+      message: 'Telegram must be a valid Telegram URL'
+    }
+  },
+  discord: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\/(www\.)?discord\.(gg|com)\/.+/.test(url);
+      },
+      message: 'Discord must be a valid Discord URL'
+    }
+  },
+  medium: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\/(www\.)?medium\.com\/.+/.test(url);
+      },
+      message: 'Medium must be a valid Medium URL'
+    }
+  },
+  github: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\/(www\.)?github\.com\/.+/.test(url);
+      },
+      message: 'GitHub must be a valid GitHub URL'
+    }
+  },
+  website: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\/.+/.test(url);
+      },
+      message: 'Website must be a valid URL starting with http:// or https://'
+    }
+  }
+};
+
+module.exports = socialMediaFields;
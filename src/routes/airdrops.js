@@ -1,19 +1,38 @@
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, validationResult, param, query } = require('express-validator');
 const Airdrop = require('../models/Airdrop');
+const Chain = require('../models/Chain');
 const Task = require('../models/Task');
 const UserTag = require('../models/UserTag');
+const Wallet = require('../models/Wallet');
+const Claim = require('../models/Claim');
+const Expense = require('../models/Expense');
+const CatalogAirdrop = require('../models/CatalogAirdrop');
+const Activity = require('../models/Activity');
+const AirdropVersion = require('../models/AirdropVersion');
+const Attachment = require('../models/Attachment');
+const ReferralClick = require('../models/ReferralClick');
+const socialMediaFields = require('../models/schemas/socialMedia');
 const { protect, optionalAuth } = require('../middleware/auth');
+const { workspaceScope, requireWorkspaceRole, scopeFilter } = require('../middleware/workspace');
+const { rejectOperatorKeys } = require('../middleware/body');
+const escapeRegex = require('../utils/escapeRegex');
+const { parseCsvRecords } = require('../utils/csv');
+const { EXPORT_FORMATS, streamExport } = require('../utils/export');
+const { getTrashRetentionDays, getPurgeDate } = require('../utils/trash');
+const { checkAirdropLinks } = require('../utils/linkHealth');
+const { getFocusWeights, focusScoreStages } = require('../utils/focusScore');
+const { parseSort, sortSpec, parseListParams, pageResults } = require('../utils/pagination');
 
 const router = express.Router();
 
-// Helper function to create daily task for airdrop
+// Helper function to create daily task for airdrop, in the airdrop's workspace
 const createDailyTaskForAirdrop = async (airdrop, userId) => {
   try {
     // Check if daily task already exists for this airdrop
     const existingTask = await Task.findOne({
       airdrop: airdrop._id,
-      user: userId,
       isDaily: true
     });
 
@@ -28,6 +47,7 @@ const createDailyTaskForAirdrop = async (airdrop, userId) => {
       project: airdrop.name,
       airdrop: airdrop._id,
       user: userId,
+      workspace: airdrop.workspace,
       isDaily: true,
       category: airdrop.type || 'Mainnet',
       priority: 'Medium',
@@ -44,33 +64,120 @@ const createDailyTaskForAirdrop = async (airdrop, userId) => {
   }
 };
 
-// Helper function to remove all tasks for airdrop
-const removeAllTasksForAirdrop = async (airdropId, userId) => {
-  try {
-    await Task.deleteMany({
-      airdrop: airdropId,
-      user: userId
-    });
-  } catch (error) {
-    console.error('Error removing tasks for airdrop:', error);
-    throw error;
-  }
-};
-
 // Helper function to remove daily task for airdrop
-const removeDailyTaskForAirdrop = async (airdropId, userId) => {
+const removeDailyTaskForAirdrop = async (airdropId) => {
   try {
-    await Task.deleteMany({
+    const dailyTasks = await Task.find({
       airdrop: airdropId,
-      user: userId,
       isDaily: true
-    });
+    }).select('_id');
+    const dailyTaskIds = dailyTasks.map(task => task._id);
+
+    await Attachment.removeWhere({ task: { $in: dailyTaskIds } });
+    await Task.deleteMany({ _id: { $in: dailyTaskIds } });
   } catch (error) {
     console.error('Error removing daily task for airdrop:', error);
     throw error;
   }
 };
 
+// Helper function to keep the daily task in line with the airdrop after it changed
+const syncDailyTaskForAirdrop = async (airdrop, wasDaily, userId) => {
+  if (airdrop.isDailyTask && !wasDaily) {
+    // Airdrop was changed to daily task - create daily task
+    try {
+      await createDailyTaskForAirdrop(airdrop, userId);
+    } catch (taskError) {
+      console.error('Error creating daily task:', taskError);
+    }
+  } else if (!airdrop.isDailyTask && wasDaily) {
+    // Airdrop was removed from daily task - remove daily task
+    try {
+      await removeDailyTaskForAirdrop(airdrop._id);
+    } catch (taskError) {
+      console.error('Error removing daily task:', taskError);
+    }
+  } else if (airdrop.isDailyTask && wasDaily) {
+    // Update existing daily task if the airdrop details changed
+    try {
+      await Task.updateMany(
+        { airdrop: airdrop._id, isDaily: true },
+        {
+          title: airdrop.dailyTaskNote || `Daily task for ${airdrop.name}`,
+          description: airdrop.description,
+          project: airdrop.name,
+          category: airdrop.type || 'Mainnet'
+        }
+      );
+    } catch (taskError) {
+      console.error('Error updating daily task:', taskError);
+    }
+  }
+};
+
+// Fields reported as a generic 'airdrop_updated' event when they change
+const TRACKED_FIELDS = [
+  'name', 'description', 'ecosystem', 'chains', 'type', 'deadline', 'deadlineNote', 'estimatedValue',
+  'priority', 'officialLink', 'referralLink', 'logoUrl', 'bannerUrl', 'isDailyTask',
+  'dailyTaskNote', 'tokenSymbol', 'startDate', 'endDate', 'snapshotDate', 'socialMedia'
+];
+
+// Fields clients can write on an airdrop. The rest - creator, workspace, status history,
+// trash, catalog sync, link health and eligibility - is managed by the API itself.
+const AIRDROP_WRITABLE_FIELDS = [...TRACKED_FIELDS, 'status', 'tags', 'notes', 'wallets'];
+
+// Helper function to copy the writable airdrop fields sent in a request
+const pickAirdropFields = (source) => {
+  const fields = {};
+  AIRDROP_WRITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  });
+  return fields;
+};
+
+// Helper function to build timeline events for the differences between two versions of an airdrop
+const buildChangeEvents = (before, after, userId) => {
+  const base = { airdrop: after._id, user: userId };
+  const events = [];
+
+  if (before.status !== after.status) {
+    events.push({ ...base, type: 'status_changed', data: { from: before.status, to: after.status } });
+  }
+
+  if ((before.notes || '') !== (after.notes || '')) {
+    events.push({ ...base, type: 'notes_edited', data: { from: before.notes || '', to: after.notes || '' } });
+  }
+
+  const beforeTags = new Set(before.tags);
+  const afterTags = new Set(after.tags);
+  after.tags.filter(tag => !beforeTags.has(tag)).forEach(tag => {
+    events.push({ ...base, type: 'tag_added', data: { tag } });
+  });
+  before.tags.filter(tag => !afterTags.has(tag)).forEach(tag => {
+    events.push({ ...base, type: 'tag_removed', data: { tag } });
+  });
+
+  const beforeWallets = new Set(before.wallets.map(id => id.toString()));
+  const afterWallets = new Set(after.wallets.map(id => id.toString()));
+  [...afterWallets].filter(id => !beforeWallets.has(id)).forEach(wallet => {
+    events.push({ ...base, type: 'wallet_attached', data: { wallet } });
+  });
+  [...beforeWallets].filter(id => !afterWallets.has(id)).forEach(wallet => {
+    events.push({ ...base, type: 'wallet_detached', data: { wallet } });
+  });
+
+  const changedFields = TRACKED_FIELDS.filter(field =>
+    JSON.stringify(before.get(field)) !== JSON.stringify(after.get(field))
+  );
+  if (changedFields.length > 0) {
+    events.push({ ...base, type: 'airdrop_updated', data: { fields: changedFields } });
+  }
+
+  return events;
+};
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -99,9 +206,27 @@ const airdropValidation = [
     .isISO8601()
     .withMessage('Start date must be a valid date'),
   body('endDate')
-    .optional()
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((endDate, { req }) => {
+      if (req.body.startDate && new Date(endDate) < new Date(req.body.startDate)) {
+        throw new Error('End date cannot be before start date');
+      }
+      return true;
+    }),
+  body('snapshotDate')
+    .optional({ values: 'null' })
     .isISO8601()
-    .withMessage('End date must be a valid date'),
+    .withMessage('Snapshot date must be a valid date'),
+  body('deadline')
+    .optional({ values: 'null' })
+    .custom(deadline => {
+      if (deadline === '' || String(deadline).toUpperCase() === 'TBA' || !isNaN(Date.parse(deadline))) {
+        return true;
+      }
+      throw new Error("Deadline must be a valid date or 'TBA'");
+    }),
   body('tokenSymbol')
     .optional()
     .trim()
@@ -130,107 +255,606 @@ const airdropValidation = [
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
+    .withMessage('Tags must be an array'),
+  body('status')
+    .optional()
+    .isIn(Airdrop.STATUSES)
+    .withMessage(`Status must be one of: ${Airdrop.STATUSES.join(', ')}`),
+  body('priority')
+    .optional()
+    .custom(value => Airdrop.resolvePriority(value) !== null)
+    .withMessage(`Priority must be one of: ${Airdrop.PRIORITIES.join(', ')}`),
+  body('chains')
+    .optional()
+    .isArray()
+    .withMessage('Chains must be an array of chain IDs or names'),
+  body('wallets')
+    .optional()
+    .isArray()
+    .withMessage('Wallets must be an array'),
+  body('wallets.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each wallet must be a valid wallet ID')
 ];
 
-// GET /api/airdrops - Get user's airdrops with filtering and pagination
-// Protected endpoint - returns only user's airdrops
-router.get('/', protect, async (req, res) => {
+// Normalize deadline input - 'TBA', empty or null means the deadline is unknown.
+// deadlineStatus follows from the deadline in the model.
+const normalizeDeadline = (req, res, next) => {
+  const { deadline } = req.body;
+
+  if (deadline === undefined) {
+    return next();
+  }
+
+  if (deadline === null || deadline === '' || String(deadline).toUpperCase() === 'TBA') {
+    req.body.deadline = null;
+  } else {
+    req.body.deadline = new Date(deadline);
+  }
+  next();
+};
+
+// Resolve chain input to registry chains the user can see. `chains` takes IDs, slugs or names;
+// a lone `ecosystem` name (as sent by older clients) becomes the single chain.
+const resolveChains = async (req, res, next) => {
+  const { chains, ecosystem } = req.body;
+
+  if (chains === undefined && (!ecosystem || ecosystem === Chain.MULTI_CHAIN)) {
+    return next();
+  }
+
   try {
-    const {
-      status,
-      tokenSymbol,
-      priority,
-      page = 1,
-      limit = 10,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
-      search,
-      tags
-    } = req.query;
-
-    // Build query object - only show user's airdrops
-    const query = { 
-      user: req.user._id 
+    const resolved = await Chain.resolveRefs(chains !== undefined ? chains : ecosystem, req.user._id);
+    req.body.chains = resolved.map(chain => chain._id);
+    req.body.ecosystem = Chain.ecosystemFor(resolved);
+    next();
+  } catch (error) {
+    if (!error.statusCode) return next(error);
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Parse a duration like '12h', '7d' or '2w' into milliseconds
+const parseDuration = (value) => {
+  const match = /^(\d+)([hdw])$/.exec(value);
+  if (!match) return null;
+
+  const unitMs = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+  };
+  return parseInt(match[1]) * unitMs[match[2]];
+};
+
+// Validation rules for attaching wallets to an airdrop
+const walletAttachValidation = [
+  body('walletIds')
+    .isArray({ min: 1 })
+    .withMessage('walletIds must be a non-empty array'),
+  body('walletIds.*')
+    .isMongoId()
+    .withMessage('Each wallet must be a valid wallet ID')
+];
+
+// Validation rules for eligibility criteria - every field is optional when updating one
+const criterionFieldValidation = [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Label must be between 1 and 100 characters'),
+  body('type')
+    .optional()
+    .isIn(Airdrop.CRITERION_TYPES)
+    .withMessage(`Type must be one of: ${Airdrop.CRITERION_TYPES.join(', ')}`),
+  body('target')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Target must be a number of at least 0')
+    .toFloat(),
+  body('current')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Current value must be a number of at least 0')
+    .toFloat(),
+  body('unit')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Unit cannot be more than 20 characters'),
+  body('met')
+    .optional()
+    .isBoolean()
+    .withMessage('met must be a boolean')
+    .toBoolean(),
+  body('wallets')
+    .optional()
+    .isArray()
+    .withMessage('wallets must be an array'),
+  body('wallets.*.wallet')
+    .isMongoId()
+    .withMessage('Each wallet must be a valid wallet ID'),
+  body('wallets.*.current')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Wallet progress must be a number of at least 0')
+    .toFloat()
+];
+
+const criterionCreateValidation = [
+  body('label')
+    .exists({ values: 'falsy' })
+    .withMessage('Label is required'),
+  body('target')
+    .exists({ values: 'null' })
+    .withMessage('Target is required'),
+  ...criterionFieldValidation
+];
+
+const CRITERION_FIELDS = ['label', 'type', 'target', 'current', 'unit', 'met', 'wallets'];
+
+// Helper function to pick the criterion fields sent in a request. Wallet progress can
+// only be tracked for wallets attached to the airdrop; returns null if another is given.
+const pickCriterionChanges = (body, airdrop) => {
+  const changes = {};
+  CRITERION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      changes[field] = body[field];
+    }
+  });
+
+  if (changes.wallets) {
+    const attachedIds = new Set(airdrop.wallets.map(id => id.toString()));
+    if (changes.wallets.some(({ wallet }) => !attachedIds.has(String(wallet)))) {
+      return null;
+    }
+    // One entry per wallet, the last one sent wins
+    const progressMap = new Map(changes.wallets.map(({ wallet, current }) => [String(wallet), current]));
+    changes.wallets = [...progressMap].map(([wallet, current]) => ({ wallet, current }));
+  }
+
+  return changes;
+};
+
+// Helper function to record criteria that became met on the airdrop's timeline
+const recordMetCriteria = (airdrop, criteria, userId) => Activity.record(criteria.map(criterion => ({
+  airdrop: airdrop._id,
+  user: userId,
+  type: 'criterion_met',
+  data: { criterion: criterion._id, label: criterion.label }
+})));
+
+// Airdrop fields that can be filled from an imported spreadsheet
+const IMPORT_FIELDS = [
+  'name', 'description', 'ecosystem', 'chains', 'type', 'status', 'deadline', 'deadlineNote',
+  'estimatedValue', 'priority', 'officialLink', 'referralLink', 'logoUrl', 'bannerUrl',
+  'tags', 'notes', 'isDailyTask', 'dailyTaskNote', 'tokenSymbol', 'startDate', 'endDate',
+  'snapshotDate', ...Object.keys(socialMediaFields).map(network => `socialMedia.${network}`)
+];
+const IMPORT_MAX_ROWS = 1000;
+
+// Turn one imported record into airdrop data using the column mapping.
+// Columns named like an airdrop field are used as is when they aren't mapped.
+const buildImportData = (record, mapping) => {
+  const data = {};
+
+  Object.entries(record).forEach(([column, rawValue]) => {
+    const field = mapping[column] || (IMPORT_FIELDS.includes(column) ? column : null);
+    if (!field) return;
+
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (value === undefined || value === null || value === '') return;
+
+    if (field === 'tags') {
+      const tags = Array.isArray(value) ? value : String(value).split(/[;,|]/);
+      data.tags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    } else if (field === 'chains') {
+      const chains = Array.isArray(value) ? value : String(value).split(/[;,|]/);
+      data.chains = [...new Set(chains.map(chain => String(chain).trim()).filter(Boolean))];
+    } else if (field === 'isDailyTask') {
+      data.isDailyTask = value === true || ['true', 'yes', 'y', '1', 'x'].includes(String(value).toLowerCase());
+    } else if (field === 'status') {
+      // Accept slugs and any casing, leave unknown values for the schema to reject
+      data.status = Airdrop.resolveStatus(value) || value;
+    } else if (field === 'deadline') {
+      data.deadline = String(value).toUpperCase() === 'TBA' ? null : value;
+    } else if (field.startsWith('socialMedia.')) {
+      data.socialMedia = data.socialMedia || {};
+      data.socialMedia[field.split('.')[1]] = value;
+    } else {
+      data[field] = value;
+    }
+  });
+
+  return data;
+};
+
+// Key used to spot the same airdrop twice - by name and by official link
+const importDuplicateKeys = (airdrop) => {
+  const keys = [];
+  if (airdrop.name) {
+    keys.push(`name:${String(airdrop.name).trim().toLowerCase()}`);
+  }
+  if (airdrop.officialLink) {
+    keys.push(`link:${String(airdrop.officialLink).trim().toLowerCase().replace(/\/+$/, '')}`);
+  }
+  return keys;
+};
+
+// Validation rules for importing airdrops
+const importValidation = [
+  body('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  body('csv')
+    .if(body('format').not().equals('json'))
+    .if(body('rows').not().exists())
+    .isString()
+    .withMessage('csv must contain the CSV text'),
+  body('rows')
+    .optional()
+    .isArray()
+    .withMessage('rows must be an array of objects'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('mapping must be an object of column: field pairs')
+    .custom(mapping => {
+      const unknown = Object.values(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown airdrop fields in mapping: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+  body('duplicates')
+    .optional()
+    .isIn(['skip', 'import'])
+    .withMessage('duplicates must be skip or import'),
+  body(['dryRun', 'createTags', 'createDailyTasks'])
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun, createTags and createDailyTasks must be booleans')
+    .toBoolean()
+];
+
+// Actions supported by the bulk endpoint
+const BULK_ACTIONS = ['updateStatus', 'addTags', 'removeTags', 'setPriority', 'setDailyTask', 'delete'];
+const BULK_MAX_ITEMS = 500;
+
+// Validation rules for bulk operations
+const bulkValidation = [
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body()
+    .custom(({ ids, filter }) => {
+      if (!ids === !filter) {
+        throw new Error('Provide either ids or filter');
+      }
+      return true;
+    }),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: BULK_MAX_ITEMS })
+    .withMessage(`ids must be an array of 1 to ${BULK_MAX_ITEMS} airdrop IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid airdrop ID'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object with the same filters as GET /api/airdrops'),
+  body('status')
+    .if(body('action').equals('updateStatus'))
+    .isIn(Airdrop.STATUSES)
+    .withMessage(`Status must be one of: ${Airdrop.STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot be more than 200 characters'),
+  body('tags')
+    .if(body('action').isIn(['addTags', 'removeTags']))
+    .isArray({ min: 1 })
+    .withMessage('tags must be a non-empty array'),
+  body('priority')
+    .if(body('action').equals('setPriority'))
+    .custom(value => Airdrop.resolvePriority(value) !== null)
+    .withMessage(`priority must be one of: ${Airdrop.PRIORITIES.join(', ')}`),
+  body('isDailyTask')
+    .optional()
+    .isBoolean()
+    .withMessage('isDailyTask must be a boolean')
+    .toBoolean()
+];
+
+// Sort fields of the list and export endpoints. Stored fields are paged through their
+// indexes, computed ones need task progress and focus scores for every match first.
+const AIRDROP_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  name: 'name',
+  deadline: 'deadline',
+  priority: 'priorityRank', // Low < Medium < High, not alphabetical
+  taskProgress: 'taskProgress',
+  tasksCompleted: 'tasksCompleted',
+  totalTasks: 'totalTasks',
+  focusScore: 'focusScore',
+  eligibilityScore: 'eligibilityScore'
+};
+const AIRDROP_INDEXED_SORTS = ['createdAt', 'updatedAt', 'name', 'deadline'];
+
+// Build the filter and task progress conditions shared by the list, export and bulk endpoints
+const buildAirdropListFilters = (params, scope) => {
+  const {
+    status,
+    tokenSymbol,
+    priority,
+    search,
+    tags,
+    chain,
+    progressBelow,
+    progressAtLeast,
+    eligibilityBelow,
+    eligibilityAtLeast
+  } = params;
+
+  // Build query object - only show the airdrops in scope
+  const query = { 
+    ...scope 
+  };
+  
+  if (status) {
+    query.status = Airdrop.resolveStatus(status) || status;
+  }
+  
+  if (tokenSymbol) {
+    query.tokenSymbol = new RegExp(escapeRegex(tokenSymbol), 'i');
+  }
+  
+  if (priority) {
+    query.priority = Airdrop.resolvePriority(priority) || priority;
+  }
+  
+  if (search) {
+    const searchRegex = new RegExp(escapeRegex(search), 'i');
+    query.$or = [
+      { name: searchRegex },
+      { description: searchRegex },
+      { tokenSymbol: searchRegex }
+    ];
+  }
+
+  // Filter by tags if provided
+  if (tags) {
+    const tagArray = Array.isArray(tags) ? tags : [tags];
+    query.tags = { $in: tagArray.map(tag => tag.toLowerCase()) };
+  }
+
+  // Filter by chain ID (the aggregation doesn't cast IDs itself)
+  if (chain && mongoose.isValidObjectId(chain)) {
+    query.chains = new mongoose.Types.ObjectId(chain);
+  }
+
+  // Filter on the eligibility score (e.g. eligibilityAtLeast=100). It is computed from the
+  // stored criteria, so it is matched right away; airdrops without criteria never match.
+  const eligibilityConditions = [];
+  if (eligibilityBelow !== undefined) {
+    eligibilityConditions.push({ $lt: [Airdrop.ELIGIBILITY_SCORE_EXPRESSION, parseFloat(eligibilityBelow)] });
+  }
+  if (eligibilityAtLeast !== undefined) {
+    eligibilityConditions.push({ $gte: [Airdrop.ELIGIBILITY_SCORE_EXPRESSION, parseFloat(eligibilityAtLeast)] });
+  }
+  if (eligibilityConditions.length > 0) {
+    query.$expr = {
+      $and: [{ $ne: [Airdrop.ELIGIBILITY_SCORE_EXPRESSION, null] }, ...eligibilityConditions]
     };
-    
-    if (status) {
-      query.status = status;
-    }
-    
-    if (tokenSymbol) {
-      query.tokenSymbol = new RegExp(tokenSymbol, 'i');
-    }
-    
-    if (priority) {
-      query.priority = parseInt(priority);
-    }
-    
-    if (search) {
-      query.$or = [
-        { name: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { tokenSymbol: new RegExp(search, 'i') }
-      ];
-    }
-
-    // Filter by tags if provided
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : [tags];
-      query.tags = { $in: tagArray.map(tag => tag.toLowerCase()) };
-    }
-
-    // Calculate pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Execute query with pagination
-    const [airdrops, total] = await Promise.all([
-      Airdrop.find(query)
-        .sort(sort)
-        .skip(skip)
-        .limit(limitNum)
-        .populate('user', 'firstName lastName email'),
-      Airdrop.countDocuments(query)
+  }
+
+  // Filter on task completion percentage (e.g. progressBelow=50)
+  const progressQuery = {};
+  if (progressBelow !== undefined) {
+    progressQuery.$lt = parseFloat(progressBelow);
+  }
+  if (progressAtLeast !== undefined) {
+    progressQuery.$gte = parseFloat(progressAtLeast);
+  }
+
+  return { query, progressQuery };
+};
+
+// Aggregation stages that match the filters and compute task progress (and the focus
+// score, when given the user's focus weights) for every airdrop, so results can be
+// filtered and sorted by them
+const airdropListStages = ({ query, progressQuery }, userId, focusWeights) => [
+  { $match: query },
+  {
+    $lookup: {
+      from: Task.collection.name,
+      let: { airdropId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            deletedAt: null,
+            $expr: { $eq: ['$airdrop', '$$airdropId'] }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            totalTasks: { $sum: 1 },
+            tasksCompleted: { $sum: { $cond: ['$completed', 1, 0] } }
+          }
+        }
+      ],
+      as: 'taskCounts'
+    }
+  },
+  {
+    $addFields: {
+      totalTasks: { $ifNull: [{ $arrayElemAt: ['$taskCounts.totalTasks', 0] }, 0] },
+      tasksCompleted: { $ifNull: [{ $arrayElemAt: ['$taskCounts.tasksCompleted', 0] }, 0] }
+    }
+  },
+  {
+    $addFields: {
+      // Halves are rounded up like the taskProgress virtual's Math.round() ($round rounds them to even)
+      taskProgress: {
+        $cond: [
+          { $gt: ['$totalTasks', 0] },
+          { $floor: { $add: [{ $multiply: [{ $divide: ['$tasksCompleted', '$totalTasks'] }, 100] }, 0.5] } },
+          0
+        ]
+      },
+      priorityRank: { $indexOfArray: [Airdrop.PRIORITIES, '$priority'] },
+      eligibilityScore: Airdrop.ELIGIBILITY_SCORE_EXPRESSION
+    }
+  },
+  ...(Object.keys(progressQuery).length > 0 ? [{ $match: { taskProgress: progressQuery } }] : []),
+  ...(focusWeights ? focusScoreStages(userId, focusWeights) : [])
+];
+
+// Load the focus scores of airdrops fetched outside the list aggregation
+const withFocusScores = async (airdrops, user) => {
+  const scores = await Airdrop.aggregate([
+    ...airdropListStages({
+      query: { _id: { $in: airdrops.map(airdrop => airdrop._id) } },
+      progressQuery: {}
+    }, user._id, getFocusWeights(user)),
+    { $project: { focusScore: 1 } }
+  ]);
+
+  const scoreMap = new Map(scores.map(({ _id, focusScore }) => [_id.toString(), focusScore]));
+  airdrops.forEach(airdrop => airdrop.setFocusScore(scoreMap.get(airdrop._id.toString())));
+  return airdrops;
+};
+
+// Columns of the CSV airdrop export - nested social links, tags and tasks are flattened
+const AIRDROP_EXPORT_COLUMNS = [
+  'id', 'name', 'description', 'ecosystem', 'chains', 'type', 'status', 'priority',
+  'deadline', 'deadlineStatus', 'deadlineNote', 'estimatedValue', 'tokenSymbol',
+  'officialLink', 'referralLink', 'logoUrl', 'bannerUrl', 'tags', 'isDailyTask', 'dailyTaskNote',
+  'startDate', 'endDate', 'snapshotDate',
+  ...Object.keys(socialMediaFields).map(network => `socialMedia.${network}`),
+  'tasksCompleted', 'totalTasks', 'taskProgress', 'focusScore', 'eligibilityScore', 'tasks', 'notes', 'createdAt', 'updatedAt'
+];
+
+// Flatten an exported airdrop into a CSV row keyed by AIRDROP_EXPORT_COLUMNS
+const flattenAirdropExport = (airdrop) => {
+  const record = { ...airdrop, id: airdrop._id.toString() };
+
+  Object.keys(socialMediaFields).forEach(network => {
+    record[`socialMedia.${network}`] = airdrop.socialMedia ? airdrop.socialMedia[network] : undefined;
+  });
+
+  // One cell listing every task as '[x] Title' or '[ ] Title'
+  record.tasks = airdrop.tasks.map(task => `[${task.completed ? 'x' : ' '}] ${task.title}`);
+
+  return record;
+};
+
+// Shape an exported airdrop for the JSON export
+const serializeAirdropExport = ({
+  _id, __v, user, taskCounts, priorityRank, catalogSync, linkHealth, linksCheckedAt, ...airdrop
+}) => ({
+  id: _id,
+  ...airdrop,
+  tasks: airdrop.tasks.map(({ _id: taskId, ...task }) => ({ id: taskId, ...task }))
+});
+
+// GET /api/airdrops - Get user's airdrops with filtering and cursor pagination
+// Protected endpoint - returns the user's airdrops, or those of the workspace given with X-Workspace-Id
+router.get('/', protect, workspaceScope, async (req, res) => {
+  try {
+    const filters = buildAirdropListFilters(req.query, scopeFilter(req));
+    const listParams = parseListParams(req.query, AIRDROP_SORT_FIELDS, {
+      defaultSortBy: 'createdAt',
+      defaultLimit: 10
+    });
+    const { sort, limit, skip, page } = listParams;
+    const focusWeights = getFocusWeights(req.user);
+    const hasProgressFilter = Object.keys(filters.progressQuery).length > 0;
+
+    const pageStages = [
+      ...(listParams.filter ? [{ $match: listParams.filter }] : []),
+      { $sort: sortSpec(sort) },
+      { $skip: skip },
+      { $limit: limit + 1 }
+    ];
+
+    // Sorting by a stored field picks the page through its index and computes task progress
+    // and focus scores for that page only. Computed sorts and progress filters need them
+    // for every matching airdrop first.
+    const pipeline = AIRDROP_INDEXED_SORTS.includes(sort.sortBy) && !hasProgressFilter
+      ? [
+        { $match: filters.query },
+        ...pageStages,
+        ...airdropListStages({ query: {}, progressQuery: {} }, req.user._id, focusWeights),
+        { $sort: sortSpec(sort) }
+      ]
+      : [...airdropListStages(filters, req.user._id, focusWeights), ...pageStages];
+
+    const [results, total] = await Promise.all([
+      Airdrop.aggregate([...pipeline, { $project: { taskCounts: 0 } }]),
+      hasProgressFilter
+        ? Airdrop.aggregate([...airdropListStages(filters, req.user._id), { $count: 'count' }])
+          .then(([count]) => (count ? count.count : 0))
+        : Airdrop.countDocuments(filters.query)
     ]);
+    const { items, nextCursor } = pageResults(results, listParams);
 
-    const totalPages = Math.ceil(total / limitNum);
+    // Turn raw results back into documents so virtuals are kept in the response
+    const airdrops = items.map(({
+      tasksCompleted, totalTasks, taskProgress, priorityRank, focusScore, eligibilityScore, ...fields
+    }) =>
+      Airdrop.hydrate(fields).setTaskProgress({ tasksCompleted, totalTasks }).setFocusScore(focusScore)
+    );
+    await Airdrop.populate(airdrops, [
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'chains', select: Airdrop.CHAIN_FIELDS }
+    ]);
 
     res.json({
       success: true,
       data: airdrops,
       pagination: {
-        currentPage: pageNum,
-        totalPages,
         totalItems: total,
-        itemsPerPage: limitNum,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1
+        itemsPerPage: limit,
+        hasNextPage: nextCursor !== null,
+        nextCursor,
+        // Page numbers are reported unless the client pages with a cursor
+        ...(page && {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        })
       }
     });
 
   } catch (error) {
     console.error('Error fetching airdrops:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch airdrops',
+      message: error.statusCode ? error.message : 'Failed to fetch airdrops',
       error: error.message
     });
   }
 });
 
 // GET /api/airdrops/stats - Get user's airdrop statistics
-router.get('/stats', protect, async (req, res) => {
+router.get('/stats', protect, workspaceScope, async (req, res) => {
   try {
+    const scope = scopeFilter(req);
     const stats = await Airdrop.aggregate([
       { 
         $match: { 
-          user: req.user._id 
+          ...scope 
         } 
       },
       {
@@ -242,12 +866,40 @@ router.get('/stats', protect, async (req, res) => {
     ]);
 
     const totalAirdrops = await Airdrop.countDocuments({ 
-      user: req.user._id 
+      ...scope 
+    });
+
+    // Realized (claimed) vs estimated value, and what farming has cost so far.
+    // Claims and expenses are the user's own - in a workspace, those on its airdrops.
+    const estimates = await Airdrop.find(scope).select('estimatedValue');
+    const claimAirdrops = req.workspace ? estimates.map(airdrop => airdrop._id) : undefined;
+    const [claimTotals, expenseTotals] = await Promise.all([
+      Claim.getTotalsByUser(req.user._id, claimAirdrops),
+      Expense.getTotalsByUser(req.user._id, claimAirdrops)
+    ]);
+
+    let estimatedUsd = 0;
+    let unpricedEstimates = 0;
+    estimates.forEach(airdrop => {
+      if (airdrop.estimatedValueUsd !== null) {
+        estimatedUsd += airdrop.estimatedValueUsd;
+      } else if (airdrop.estimatedValue) {
+        unpricedEstimates++;
+      }
     });
 
     const formattedStats = {
       total: totalAirdrops,
-      byStatus: {}
+      byStatus: {},
+      value: {
+        estimatedUsd,
+        realizedUsd: claimTotals.totalUsd,
+        claimCount: claimTotals.claimCount,
+        claimedAirdrops: claimTotals.claimedAirdrops,
+        unpricedEstimates,
+        spentUsd: expenseTotals.totalUsd,
+        netUsd: claimTotals.totalUsd - expenseTotals.totalUsd
+      }
     };
 
     stats.forEach(stat => {
@@ -269,144 +921,1615 @@ router.get('/stats', protect, async (req, res) => {
   }
 });
 
-// GET /api/airdrops/:id - Get single airdrop by ID (user's own airdrop only)
-router.get('/:id', 
-  protect,
-  param('id').isMongoId().withMessage('Invalid airdrop ID'),
-  handleValidationErrors,
-  async (req, res) => {
-    try {
-      const airdrop = await Airdrop.findOne({
-        _id: req.params.id,
-        user: req.user._id
-      }).populate('user', 'firstName lastName email');
-      
-      if (!airdrop) {
-        return res.status(404).json({
-          success: false,
-          message: 'Airdrop not found'
-        });
-      }
-
-      res.json({
-        success: true,
-        data: airdrop
-      });
+// GET /api/airdrops/export - Download airdrops with their tasks as CSV or JSON
+// Accepts the same filters and sorting as GET /api/airdrops, without pagination
+router.get('/export', protect, workspaceScope, async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
 
-    } catch (error) {
-      console.error('Error fetching airdrop:', error);
-      res.status(500).json({
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to fetch airdrop',
-        error: error.message
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
       });
     }
+
+    const filters = buildAirdropListFilters(req.query, scopeFilter(req));
+    const sort = parseSort(req.query, AIRDROP_SORT_FIELDS, 'createdAt');
+
+    const cursor = Airdrop.aggregate([
+      ...airdropListStages(filters, req.user._id, getFocusWeights(req.user)),
+      { $sort: sortSpec(sort) },
+      {
+        $lookup: {
+          from: Task.collection.name,
+          let: { airdropId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                deletedAt: null,
+                $expr: { $eq: ['$airdrop', '$$airdropId'] }
+              }
+            },
+            { $sort: { createdAt: 1 } },
+            {
+              $project: {
+                title: 1,
+                completed: 1,
+                isDaily: 1,
+                priority: 1,
+                category: 1,
+                dueDate: 1,
+                completedAt: 1
+              }
+            }
+          ],
+          as: 'tasks'
+        }
+      },
+      // Chains are exported by name so the file can be imported again
+      {
+        $lookup: {
+          from: Chain.collection.name,
+          localField: 'chains',
+          foreignField: '_id',
+          as: 'chains'
+        }
+      },
+      { $addFields: { chains: '$chains.name' } }
+    ]).cursor();
+
+    await streamExport(res, {
+      format,
+      filename: 'airdrops',
+      cursor,
+      columns: AIRDROP_EXPORT_COLUMNS,
+      flatten: flattenAirdropExport,
+      serialize: serializeAirdropExport
+    });
+
+  } catch (error) {
+    console.error('Error exporting airdrops:', error);
+    // The download may already have started - abort it, so the client doesn't keep a truncated file
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to export airdrops',
+      error: error.message
+    });
   }
-);
+});
 
-// POST /api/airdrops - Create new airdrop
-// Protected endpoint - requires authentication
-router.post('/',
-  protect,
-  airdropValidation,
-  handleValidationErrors,
-  async (req, res) => {
-    try {
-      // Add creator information to the airdrop
-      const airdropData = {
-        ...req.body,
-        user: req.user._id
-      };
-      
-      const airdrop = new Airdrop(airdropData);
-      const savedAirdrop = await airdrop.save();
+// GET /api/airdrops/trash - Get user's deleted airdrops that can still be restored
+router.get('/trash', protect, workspaceScope, async (req, res) => {
+  try {
+    const airdrops = await Airdrop.find({
+      ...scopeFilter(req),
+      deletedAt: { $ne: null }
+    }).sort({ deletedAt: -1 });
 
-      // Create daily task if airdrop is marked as daily task
-      if (savedAirdrop.isDailyTask) {
-        try {
-          await createDailyTaskForAirdrop(savedAirdrop, req.user._id);
-        } catch (taskError) {
-          console.error('Error creating daily task:', taskError);
-          // Don't fail the airdrop creation if task creation fails
+    // Count the tasks that will come back with each airdrop
+    const taskCounts = await Task.aggregate([
+      {
+        $match: {
+          airdrop: { $in: airdrops.map(airdrop => airdrop._id) },
+          deletedAt: { $ne: null },
+          deletedWithAirdrop: true
         }
-      }
+      },
+      { $group: { _id: '$airdrop', count: { $sum: 1 } } }
+    ]);
+    const tasksById = new Map(taskCounts.map(count => [count._id.toString(), count.count]));
+
+    res.json({
+      success: true,
+      data: airdrops.map(airdrop => ({
+        ...airdrop.toJSON(),
+        trashedTasks: tasksById.get(airdrop._id.toString()) || 0,
+        purgeAt: getPurgeDate(airdrop.deletedAt)
+      })),
+      count: airdrops.length,
+      retentionDays: getTrashRetentionDays()
+    });
+
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/airdrops/deadlines - Get upcoming deadline, snapshot and end dates in countdown order
+router.get('/deadlines', protect, workspaceScope, async (req, res) => {
+  try {
+    const { within = '7d' } = req.query;
+    const withinMs = parseDuration(within);
+
+    if (!withinMs) {
+      return res.status(400).json({
+        success: false,
+        message: "within must be a duration like '12h', '7d' or '2w'"
+      });
+    }
+
+    const entries = await Airdrop.getUpcomingDates(scopeFilter(req), withinMs);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      within
+    });
+
+  } catch (error) {
+    console.error('Error fetching upcoming deadlines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upcoming deadlines',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/airdrops/catalog-updates - List cloned airdrops whose catalog source has changed
+router.get('/catalog-updates', protect, workspaceScope, async (req, res) => {
+  try {
+    const airdrops = await Airdrop.find({
+      ...scopeFilter(req),
+      catalogEntry: { $exists: true, $ne: null }
+    });
+
+    const entries = await CatalogAirdrop.find({
+      _id: { $in: airdrops.map(airdrop => airdrop.catalogEntry) }
+    });
+    const entryMap = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+    const updates = [];
+    airdrops.forEach(airdrop => {
+      const entry = entryMap.get(airdrop.catalogEntry.toString());
+      if (!entry || entry.revision === (airdrop.catalogSync && airdrop.catalogSync.revision)) {
+        return;
+      }
+
+      const diff = entry.diffAgainst(airdrop);
+      if (diff.hasChanges) {
+        updates.push({
+          airdrop: { _id: airdrop._id, name: airdrop.name, logoUrl: airdrop.logoUrl },
+          catalogEntry: entry._id,
+          revision: diff.revision,
+          syncedRevision: diff.syncedRevision,
+          changedFields: diff.fields.map(change => change.field),
+          newTasks: diff.newTasks.length
+        });
+      }
+    });
+
+    res.json({
+      success: true,
+      data: updates,
+      count: updates.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching catalog updates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch catalog updates',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/airdrops/:id/catalog-updates - Diff between the airdrop and its changed catalog source
+router.get('/:id/catalog-updates',
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      const entry = airdrop.catalogEntry && await CatalogAirdrop.findById(airdrop.catalogEntry);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'This airdrop has no catalog source'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: entry.diffAgainst(airdrop)
+      });
+
+    } catch (error) {
+      console.error('Error fetching catalog diff:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch catalog updates',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/:id/catalog-updates/apply - Apply selected catalog changes
+// Body: { fields: ['deadline', ...], tasks: [catalogTaskId, ...], dismissRest: true }
+// Notes, tags and status are never touched. Unselected changes stay pending unless dismissRest is set.
+router.post('/:id/catalog-updates/apply',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  body('fields')
+    .optional()
+    .isArray()
+    .withMessage('Fields must be an array'),
+  body('fields.*')
+    .isIn(CatalogAirdrop.SYNC_FIELDS)
+    .withMessage(`Each field must be one of: ${CatalogAirdrop.SYNC_FIELDS.join(', ')}`),
+  body('tasks')
+    .optional()
+    .isArray()
+    .withMessage('Tasks must be an array'),
+  body('tasks.*')
+    .isMongoId()
+    .withMessage('Each task must be a valid catalog task ID'),
+  body('dismissRest')
+    .optional()
+    .isBoolean()
+    .withMessage('dismissRest must be a boolean'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { fields = [], tasks = [], dismissRest = false } = req.body;
+
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      const entry = airdrop.catalogEntry && await CatalogAirdrop.findById(airdrop.catalogEntry);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'This airdrop has no catalog source'
+        });
+      }
+
+      const diff = entry.diffAgainst(airdrop);
+      const changedFields = new Set(diff.fields.map(change => change.field));
+      const fieldsToApply = fields.filter(field => changedFields.has(field));
+      const tasksToCreate = diff.newTasks.filter(task => tasks.includes(task._id.toString()));
+      const wasDaily = airdrop.isDailyTask;
+      const before = airdrop.$clone();
+
+      // Apply the selected fields and remember them as synced
+      const syncState = entry.buildSyncState();
+      const currentSnapshot = new Map((airdrop.catalogSync.snapshot || []).map(item => [item.field, item.value]));
+      fieldsToApply.forEach(field => {
+        airdrop.set(field, entry.get(field));
+        currentSnapshot.set(field, entry.get(field));
+      });
+
+      const knownTaskIds = new Set((airdrop.catalogSync.taskIds || []).map(id => id.toString()));
+      tasksToCreate.forEach(task => knownTaskIds.add(task._id.toString()));
+
+      if (dismissRest) {
+        airdrop.catalogSync = syncState;
+      } else {
+        const stillPending = diff.fields.some(change => !fieldsToApply.includes(change.field)) ||
+          diff.newTasks.some(task => !knownTaskIds.has(task._id.toString()));
+
+        airdrop.catalogSync = {
+          revision: stillPending ? airdrop.catalogSync.revision : syncState.revision,
+          syncedAt: syncState.syncedAt,
+          snapshot: CatalogAirdrop.SYNC_FIELDS.map(field => ({
+            field,
+            value: currentSnapshot.has(field) ? currentSnapshot.get(field) : airdrop.get(field)
+          })),
+          taskIds: [...knownTaskIds]
+        };
+      }
+
+      await airdrop.save();
+
+      const createdTasks = await Task.insertMany(tasksToCreate.map(task => ({
+        title: task.title,
+        description: task.description,
+        project: airdrop.name,
+        airdrop: airdrop._id,
+        user: req.user._id,
+        workspace: airdrop.workspace,
+        isDaily: task.isDaily,
+        priority: task.priority,
+        category: task.category,
+        estimatedTime: task.estimatedTime,
+        difficulty: task.difficulty,
+        tags: airdrop.tags
+      })));
+
+      await syncDailyTaskForAirdrop(airdrop, wasDaily, req.user._id);
+
+      await AirdropVersion.record(before, airdrop, req.user._id, { source: 'catalog' });
+
+      await Activity.record([
+        ...(fieldsToApply.length > 0 || createdTasks.length > 0 ? [{
+          airdrop: airdrop._id,
+          user: req.user._id,
+          type: 'catalog_update_applied',
+          data: { fields: fieldsToApply, tasks: createdTasks.length, revision: diff.revision }
+        }] : []),
+        ...createdTasks.map(task => ({
+          airdrop: airdrop._id,
+          user: req.user._id,
+          type: 'task_created',
+          task: task._id,
+          data: { title: task.title }
+        }))
+      ]);
+
+      res.json({
+        success: true,
+        data: airdrop,
+        appliedFields: fieldsToApply,
+        tasksCreated: createdTasks.length,
+        message: 'Catalog updates applied successfully'
+      });
+
+    } catch (error) {
+      console.error('Error applying catalog updates:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to apply catalog updates',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/airdrops/:id/timeline - Get the airdrop's activity timeline (newest first)
+router.get('/:id/timeline',
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { types, page = 1, limit = 20 } = req.query;
+      // types can be repeated (?types=a&types=b) or comma separated (?types=a,b)
+      const typeList = types
+        ? [].concat(types).flatMap(value => String(value).split(',')).filter(Boolean)
+        : [];
+
+      if (typeList.some(type => !Activity.TYPES.includes(type))) {
+        return res.status(400).json({
+          success: false,
+          message: `types must be a comma separated list of: ${Activity.TYPES.join(', ')}`
+        });
+      }
+
+      const airdrop = await Airdrop.exists({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const { events, total } = await Activity.getTimeline(req.params.id, {
+        types: typeList,
+        page: pageNum,
+        limit: limitNum
+      });
+
+      const totalPages = Math.ceil(total / limitNum);
+
+      res.json({
+        success: true,
+        data: events,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching airdrop timeline:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch airdrop timeline',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/airdrops/:id/referrals - Click statistics for the airdrop's shared referral link
+router.get('/:id/referrals',
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const days = parseInt(req.query.days || 30);
+
+      if (!(days >= 1 && days <= 365)) {
+        return res.status(400).json({
+          success: false,
+          message: 'days must be between 1 and 365'
+        });
+      }
+
+      const airdrop = await Airdrop.findOne({ _id: req.params.id, ...scopeFilter(req) });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      // Airdrops saved before referral tracking existed get their code on first use
+      if (airdrop.referralLink && !airdrop.referralCode) {
+        await airdrop.save();
+      }
+
+      const since = new Date();
+      since.setUTCHours(0, 0, 0, 0);
+      since.setUTCDate(since.getUTCDate() - (days - 1));
+
+      const stats = await ReferralClick.getStats(airdrop._id, since);
+
+      res.json({
+        success: true,
+        data: {
+          referralLink: airdrop.referralLink || null,
+          referralCode: airdrop.referralCode || null,
+          shareUrl: airdrop.referralLink && airdrop.referralCode
+            ? `${req.protocol}://${req.get('host')}/r/${airdrop.referralCode}`
+            : null,
+          days,
+          ...stats
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching referral stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch referral stats',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/:id/links/check - Check the airdrop's official and social links now
+router.post('/:id/links/check',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({ _id: req.params.id, ...scopeFilter(req) });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      const linkHealth = await checkAirdropLinks(airdrop);
+      await Airdrop.updateOne(
+        { _id: airdrop._id },
+        { linkHealth, linksCheckedAt: new Date() },
+        { timestamps: false }
+      );
+      airdrop.linkHealth = linkHealth;
+
+      res.json({
+        success: true,
+        data: {
+          linkHealth: airdrop.linkHealth,
+          linkIssues: airdrop.linkIssues
+        },
+        message: airdrop.linkIssues.length > 0
+          ? `${airdrop.linkIssues.length} link(s) need attention`
+          : 'All links are working'
+      });
+
+    } catch (error) {
+      console.error('Error checking airdrop links:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check links',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/airdrops/:id - Get single airdrop by ID (from the user's journal or workspace)
+router.get('/:id', 
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      })
+        .populate('user', 'firstName lastName email')
+        .populate('chains', Airdrop.CHAIN_FIELDS)
+        .populate('wallets', 'label address chainType isActive')
+        .populate('eligibility.wallets.wallet', 'label address chainType');
+      
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      await Airdrop.withTaskProgress([airdrop]);
+      await withFocusScores([airdrop], req.user);
+
+      // Split the user's wallets into those farming this airdrop and those that aren't
+      const farmingIds = airdrop.wallets.map(wallet => wallet._id);
+      const idleWallets = await Wallet.find({
+        user: req.user._id,
+        _id: { $nin: farmingIds }
+      })
+        .select('label address chainType isActive')
+        .sort({ createdAt: -1 });
+
+      const attachments = await Attachment.find({
+        airdrop: airdrop._id,
+        ...scopeFilter(req)
+      }).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          ...airdrop.toJSON(),
+          attachments,
+          walletCoverage: {
+            farming: airdrop.wallets,
+            notFarming: idleWallets
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching airdrop:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch airdrop',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops - Create new airdrop
+// Protected endpoint - requires authentication
+router.post('/',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  airdropValidation,
+  handleValidationErrors,
+  normalizeDeadline,
+  resolveChains,
+  async (req, res) => {
+    try {
+      if (req.body.wallets && !(await Wallet.belongToUser(req.body.wallets, req.user._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid wallet reference'
+        });
+      }
+
+      // Add creator and workspace information to the writable fields sent. Status history,
+      // trash and catalog fields and eligibility criteria are only written by the API.
+      const airdropData = {
+        ...pickAirdropFields(req.body),
+        ...scopeFilter(req),
+        user: req.user._id
+      };
+      
+      const airdrop = new Airdrop(airdropData);
+      const savedAirdrop = await airdrop.save();
+
+      await Activity.record({
+        airdrop: savedAirdrop._id,
+        user: req.user._id,
+        type: 'airdrop_created',
+        data: { name: savedAirdrop.name, status: savedAirdrop.status }
+      });
+
+      // Create daily task if airdrop is marked as daily task
+      if (savedAirdrop.isDailyTask) {
+        try {
+          await createDailyTaskForAirdrop(savedAirdrop, req.user._id);
+        } catch (taskError) {
+          console.error('Error creating daily task:', taskError);
+          // Don't fail the airdrop creation if task creation fails
+        }
+      }
 
       // Increment usage count for used tags
       if (savedAirdrop.tags && savedAirdrop.tags.length > 0) {
         try {
-          await Promise.all(
-            savedAirdrop.tags.map(async (tagName) => {
-              const tag = await UserTag.findOne({
-                name: tagName.toLowerCase(),
-                userId: req.user._id
-              });
-              if (tag) {
-                await tag.incrementUsage();
-              }
-            })
-          );
+          await Promise.all(
+            savedAirdrop.tags.map(async (tagName) => {
+              const tag = await UserTag.findOne({
+                name: tagName.toLowerCase(),
+                ...scopeFilter(req, 'userId')
+              });
+              if (tag) {
+                await tag.incrementUsage();
+              }
+            })
+          );
+        } catch (tagError) {
+          console.error('Error updating tag usage:', tagError);
+          // Don't fail the airdrop creation if tag update fails
+        }
+      }
+      
+      await savedAirdrop.populate('chains', Airdrop.CHAIN_FIELDS);
+
+      res.status(201).json({
+        success: true,
+        data: savedAirdrop,
+        message: 'Airdrop created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating airdrop:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to create airdrop',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/import - Import airdrops from CSV text or JSON rows
+// With dryRun the rows are only validated and previewed, nothing is saved
+router.post('/import',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  importValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const {
+        mapping = {},
+        dryRun = false,
+        duplicates = 'skip',
+        createTags = false,
+        createDailyTasks = false
+      } = req.body;
+
+      let records;
+      let columns;
+      try {
+        if (req.body.format === 'json' || Array.isArray(req.body.rows)) {
+          records = req.body.rows || [];
+          columns = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+        } else {
+          ({ records, columns } = parseCsvRecords(req.body.csv));
+        }
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Could not parse import data',
+          error: parseError.message
+        });
+      }
+
+      if (records.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Import contains no rows'
+        });
+      }
+
+      if (records.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `Import is limited to ${IMPORT_MAX_ROWS} rows at a time`
+        });
+      }
+
+      // Existing airdrops (and earlier rows) are duplicates when name or official link match
+      const existing = await Airdrop.find(scopeFilter(req)).select('name officialLink');
+      const seen = new Map();
+      existing.forEach(airdrop => {
+        importDuplicateKeys(airdrop).forEach(key => seen.set(key, { airdropId: airdrop._id, name: airdrop.name }));
+      });
+
+      // Chain names are matched against the chains the user can see
+      const visibleChains = await Chain.find(Chain.visibleTo(req.user._id));
+
+      const results = [];
+      for (const [index, record] of records.entries()) {
+        const row = index + 1;
+        const data = buildImportData(record || {}, mapping);
+
+        let chains;
+        if (data.chains) {
+          const { matched, unknown } = Chain.matchRefs(visibleChains, data.chains);
+          if (unknown.length > 0) {
+            results.push({
+              row,
+              status: 'invalid',
+              errors: [{ field: 'chains', message: `Unknown chains: ${unknown.join(', ')}` }],
+              data
+            });
+            continue;
+          }
+          chains = matched.map(chain => chain._id);
+        }
+
+        const airdrop = new Airdrop({ ...data, chains, ...scopeFilter(req), user: req.user._id });
+
+        try {
+          await airdrop.validate();
+        } catch (validationError) {
+          results.push({
+            row,
+            status: 'invalid',
+            errors: Object.values(validationError.errors || {}).map(error => ({
+              field: error.path,
+              message: error.message
+            })),
+            data
+          });
+          continue;
+        }
+
+        const keys = importDuplicateKeys(airdrop);
+        const duplicateKey = keys.find(key => seen.has(key));
+        keys.forEach(key => {
+          if (!seen.has(key)) {
+            seen.set(key, { row, name: airdrop.name });
+          }
+        });
+
+        results.push({
+          row,
+          status: duplicateKey ? 'duplicate' : 'valid',
+          duplicateOf: duplicateKey ? seen.get(duplicateKey) : undefined,
+          data,
+          airdrop
+        });
+      }
+
+      const toCreate = results.filter(result =>
+        result.status === 'valid' || (result.status === 'duplicate' && duplicates === 'import')
+      );
+
+      if (!dryRun) {
+        const created = [];
+        for (const result of toCreate) {
+          try {
+            const savedAirdrop = await result.airdrop.save();
+            result.status = 'created';
+            result.airdropId = savedAirdrop._id;
+            created.push(savedAirdrop);
+          } catch (saveError) {
+            result.status = 'failed';
+            result.errors = [{ message: saveError.message }];
+          }
+        }
+
+        await Activity.record(created.map(airdrop => ({
+          airdrop: airdrop._id,
+          user: req.user._id,
+          type: 'airdrop_created',
+          data: { name: airdrop.name, status: airdrop.status, imported: true }
+        })));
+
+        if (createDailyTasks) {
+          for (const airdrop of created.filter(item => item.isDailyTask)) {
+            try {
+              await createDailyTaskForAirdrop(airdrop, req.user._id);
+            } catch (taskError) {
+              console.error('Error creating daily task:', taskError);
+            }
+          }
+        }
+
+        // Count tag usage, creating missing tags in the user's tag list when asked to
+        const tagCounts = new Map();
+        created.forEach(airdrop => airdrop.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+        if (tagCounts.size > 0) {
+          try {
+            await UserTag.bulkWrite([...tagCounts.entries()].map(([tagName, count]) => ({
+              updateOne: {
+                filter: { name: tagName, ...scopeFilter(req, 'userId') },
+                update: createTags
+                  ? { $setOnInsert: { name: tagName, ...scopeFilter(req, 'userId') }, $inc: { usageCount: count } }
+                  : { $inc: { usageCount: count } },
+                upsert: createTags
+              }
+            })));
+          } catch (tagError) {
+            console.error('Error updating tags:', tagError);
+          }
+        }
+      }
+
+      results.forEach(result => {
+        if (result.status === 'duplicate' && !dryRun) {
+          result.status = 'skipped';
+        }
+        delete result.airdrop;
+      });
+
+      const countBy = (status) => results.filter(result => result.status === status).length;
+      const summary = dryRun
+        ? {
+          total: results.length,
+          valid: countBy('valid'),
+          invalid: countBy('invalid'),
+          duplicates: countBy('duplicate'),
+          toCreate: toCreate.length
+        }
+        : {
+          total: results.length,
+          created: countBy('created'),
+          invalid: countBy('invalid'),
+          skipped: countBy('skipped'),
+          failed: countBy('failed')
+        };
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        data: {
+          dryRun,
+          summary,
+          columns,
+          unmappedColumns: columns.filter(column => !mapping[column] && !IMPORT_FIELDS.includes(column)),
+          rows: results
+        },
+        message: dryRun ? 'Import preview generated' : `Imported ${summary.created} airdrops`
+      });
+
+    } catch (error) {
+      console.error('Error importing airdrops:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to import airdrops',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/bulk - Run one action over many airdrops
+// Targets a list of IDs or every airdrop matching a list filter, and reports the result per airdrop
+router.post('/bulk',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  bulkValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { action, ids, filter, status, note, priority } = req.body;
+      const tags = (req.body.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+
+      let targetIds = ids;
+      if (filter) {
+        const matches = await Airdrop.aggregate([
+          ...airdropListStages(buildAirdropListFilters(filter, scopeFilter(req)), req.user._id),
+          { $project: { _id: 1 } },
+          { $limit: BULK_MAX_ITEMS + 1 }
+        ]);
+
+        if (matches.length > BULK_MAX_ITEMS) {
+          return res.status(400).json({
+            success: false,
+            message: `Filter matches more than ${BULK_MAX_ITEMS} airdrops, narrow it down`
+          });
+        }
+        targetIds = matches.map(match => match._id);
+      }
+
+      const airdrops = await Airdrop.find({
+        _id: { $in: targetIds },
+        ...scopeFilter(req)
+      });
+      const airdropsById = new Map(airdrops.map(airdrop => [airdrop._id.toString(), airdrop]));
+
+      const results = [];
+      const addedTagCounts = new Map();
+
+      for (const id of [...new Set(targetIds.map(String))]) {
+        const airdrop = airdropsById.get(id);
+        if (!airdrop) {
+          results.push({ id, success: false, error: 'Airdrop not found' });
+          continue;
+        }
+
+        try {
+          if (action === 'delete') {
+            await Airdrop.moveToTrash(airdrop._id, scopeFilter(req));
+            await Activity.record({ airdrop: airdrop._id, user: req.user._id, type: 'airdrop_trashed' });
+            results.push({ id, name: airdrop.name, success: true });
+            continue;
+          }
+
+          const before = airdrop.$clone();
+          const wasDaily = airdrop.isDailyTask;
+
+          if (action === 'updateStatus') {
+            if (airdrop.status !== status) {
+              airdrop.statusHistory.push(airdrop.buildStatusChange(status, note));
+              airdrop.status = status;
+            }
+          } else if (action === 'addTags') {
+            tags.filter(tag => !airdrop.tags.includes(tag)).forEach(tag => {
+              airdrop.tags.push(tag);
+              addedTagCounts.set(tag, (addedTagCounts.get(tag) || 0) + 1);
+            });
+          } else if (action === 'removeTags') {
+            airdrop.tags = airdrop.tags.filter(tag => !tags.includes(tag));
+          } else if (action === 'setPriority') {
+            airdrop.priority = priority;
+          } else if (action === 'setDailyTask') {
+            // Without an explicit value the flag is toggled
+            airdrop.isDailyTask = req.body.isDailyTask !== undefined ? req.body.isDailyTask : !wasDaily;
+          }
+
+          await airdrop.save();
+
+          if (action === 'setDailyTask') {
+            await syncDailyTaskForAirdrop(airdrop, wasDaily, req.user._id);
+          }
+
+          await AirdropVersion.record(before, airdrop, req.user._id, { source: 'bulk' });
+          await Activity.record(buildChangeEvents(before, airdrop, req.user._id));
+
+          results.push({ id, name: airdrop.name, success: true });
+        } catch (itemError) {
+          results.push({ id, name: airdrop.name, success: false, error: itemError.message });
+        }
+      }
+
+      // Count usage of the tags that were added, like a single create does
+      if (addedTagCounts.size > 0) {
+        try {
+          await UserTag.bulkWrite([...addedTagCounts.entries()].map(([tagName, count]) => ({
+            updateOne: {
+              filter: { name: tagName, ...scopeFilter(req, 'userId') },
+              update: { $inc: { usageCount: count } }
+            }
+          })));
         } catch (tagError) {
           console.error('Error updating tag usage:', tagError);
-          // Don't fail the airdrop creation if tag update fails
         }
       }
-      
-      res.status(201).json({
+
+      const succeeded = results.filter(result => result.success).length;
+
+      res.json({
+        success: true,
+        data: {
+          action,
+          summary: {
+            matched: results.length,
+            succeeded,
+            failed: results.length - succeeded
+          },
+          results
+        },
+        message: `${action} applied to ${succeeded} of ${results.length} airdrops`
+      });
+
+    } catch (error) {
+      console.error('Error running bulk operation:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to run bulk operation',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/from-catalog/:catalogId - Add a catalog entry to the user's journal or workspace
+// Clones the entry, its default tasks and its tags
+router.post('/from-catalog/:catalogId',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('catalogId').isMongoId().withMessage('Invalid catalog entry ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const entry = await CatalogAirdrop.findOne({
+        _id: req.params.catalogId,
+        isPublished: true
+      });
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog entry not found'
+        });
+      }
+
+      const existing = await Airdrop.findOne({
+        ...scopeFilter(req),
+        catalogEntry: entry._id
+      });
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'This airdrop is already in your journal',
+          data: { airdropId: existing._id }
+        });
+      }
+
+      const airdrop = new Airdrop({
+        ...entry.toAirdropData(),
+        catalogEntry: entry._id,
+        catalogSync: entry.buildSyncState(),
+        ...scopeFilter(req),
+        user: req.user._id
+      });
+      const savedAirdrop = await airdrop.save();
+
+      // Clone the default tasks
+      const tasks = await Task.insertMany(entry.defaultTasks.map(task => ({
+        title: task.title,
+        description: task.description,
+        project: savedAirdrop.name,
+        airdrop: savedAirdrop._id,
+        user: req.user._id,
+        workspace: savedAirdrop.workspace,
+        isDaily: task.isDaily,
+        priority: task.priority,
+        category: task.category,
+        estimatedTime: task.estimatedTime,
+        difficulty: task.difficulty,
+        tags: savedAirdrop.tags
+      })));
+
+      if (savedAirdrop.isDailyTask) {
+        try {
+          await createDailyTaskForAirdrop(savedAirdrop, req.user._id);
+        } catch (taskError) {
+          console.error('Error creating daily task:', taskError);
+        }
+      }
+
+      // Create missing tags in the user's tag list and count their usage
+      if (savedAirdrop.tags.length > 0) {
+        try {
+          await UserTag.bulkWrite(savedAirdrop.tags.map(tagName => ({
+            updateOne: {
+              filter: { name: tagName, ...scopeFilter(req, 'userId') },
+              update: {
+                $setOnInsert: { name: tagName, ...scopeFilter(req, 'userId') },
+                $inc: { usageCount: 1 }
+              },
+              upsert: true
+            }
+          })));
+        } catch (tagError) {
+          console.error('Error updating tags:', tagError);
+        }
+      }
+
+      await CatalogAirdrop.updateOne({ _id: entry._id }, { $inc: { cloneCount: 1 } });
+
+      await Activity.record([
+        {
+          airdrop: savedAirdrop._id,
+          user: req.user._id,
+          type: 'airdrop_created',
+          data: { name: savedAirdrop.name, status: savedAirdrop.status, catalogEntry: entry._id }
+        },
+        ...tasks.map(task => ({
+          airdrop: savedAirdrop._id,
+          user: req.user._id,
+          type: 'task_created',
+          task: task._id,
+          data: { title: task.title }
+        }))
+      ]);
+
+      res.status(201).json({
+        success: true,
+        data: savedAirdrop,
+        tasksCreated: tasks.length,
+        message: 'Airdrop added to your journal'
+      });
+
+    } catch (error) {
+      console.error('Error adding airdrop from catalog:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to add airdrop from catalog',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/airdrops/:id - Update airdrop
+// Protected endpoint - the user's own airdrops, or workspace airdrops for editors and owners
+router.put('/:id',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  rejectOperatorKeys,
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  airdropValidation,
+  handleValidationErrors,
+  normalizeDeadline,
+  resolveChains,
+  async (req, res) => {
+    try {
+      // First check if airdrop exists in the user's journal or workspace
+      const existingAirdrop = await Airdrop.findOne({ _id: req.params.id, ...scopeFilter(req) });
+      
+      if (!existingAirdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      if (req.body.wallets && !(await Wallet.belongToUser(req.body.wallets, req.user._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid wallet reference'
+        });
+      }
+      
+      // Store the previous isDailyTask state
+      const wasDaily = existingAirdrop.isDailyTask;
+
+      // Only writable fields are set, so the body can't reach any other field or operator
+      const fields = pickAirdropFields(req.body);
+      const updates = { $set: fields };
+      if (fields.referralLink && !existingAirdrop.referralCode) {
+        fields.referralCode = Airdrop.generateReferralCode();
+      }
+      // Edited links are checked again on the next link health run
+      if (fields.officialLink !== undefined || fields.socialMedia !== undefined) {
+        fields.linksCheckedAt = null;
+      }
+      // Status changes have to follow the lifecycle and are recorded in the history
+      if (fields.status !== undefined && fields.status !== existingAirdrop.status) {
+        try {
+          updates.$push = { statusHistory: existingAirdrop.buildStatusChange(fields.status) };
+        } catch (statusError) {
+          return res.status(statusError.statusCode || 400).json({
+            success: false,
+            message: statusError.message
+          });
+        }
+      }
+      
+      const airdrop = await Airdrop.findByIdAndUpdate(
+        req.params.id,
+        updates,
+        { 
+          new: true, 
+          runValidators: true,
+          context: 'query'
+        }
+      );
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      // Handle daily task changes
+      await syncDailyTaskForAirdrop(airdrop, wasDaily, req.user._id);
+
+      await AirdropVersion.record(existingAirdrop, airdrop, req.user._id);
+      await Activity.record(buildChangeEvents(existingAirdrop, airdrop, req.user._id));
+
+      await airdrop.populate('chains', Airdrop.CHAIN_FIELDS);
+
+      res.json({
+        success: true,
+        data: airdrop,
+        message: 'Airdrop updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating airdrop:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update airdrop',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/:id/restore - Restore an airdrop and its tasks from the trash
+router.post('/:id/restore',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.restoreFromTrash(req.params.id, scopeFilter(req));
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found in trash'
+        });
+      }
+
+      const restoredTasks = airdrop.$locals.restoredTasks;
+
+      await Activity.record({
+        airdrop: airdrop._id,
+        user: req.user._id,
+        type: 'airdrop_restored',
+        data: { restoredTasks }
+      });
+
+      res.json({
+        success: true,
+        data: airdrop,
+        restoredTasks,
+        message: 'Airdrop restored from trash'
+      });
+
+    } catch (error) {
+      console.error('Error restoring airdrop:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore airdrop',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/airdrops/:id/versions - Edit history of an airdrop, newest first
+router.get('/:id/versions',
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+
+      if (!(pageNum >= 1) || !(limitNum >= 1 && limitNum <= 100)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Page must be at least 1 and limit between 1 and 100'
+        });
+      }
+
+      const airdrop = await Airdrop.exists({ _id: req.params.id, ...scopeFilter(req) });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      const [versions, total, currentVersion] = await Promise.all([
+        AirdropVersion.find({ airdrop: req.params.id })
+          .sort({ version: -1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum)
+          .populate('user', 'firstName lastName'),
+        AirdropVersion.countDocuments({ airdrop: req.params.id }),
+        AirdropVersion.getLatestVersion(req.params.id)
+      ]);
+
+      const totalPages = Math.ceil(total / limitNum);
+
+      res.json({
+        success: true,
+        data: versions,
+        currentVersion,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching airdrop versions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch airdrop versions',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/:id/versions/:version/revert - Restore the airdrop as it was at a version
+// Version 0 is the airdrop before its first recorded edit. The revert itself becomes a new version.
+router.post('/:id/versions/:version/revert',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  param('version').isInt({ min: 0 }).withMessage('Version must be a whole number').toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      const latestVersion = await AirdropVersion.getLatestVersion(airdrop._id);
+
+      if (req.params.version > latestVersion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Version not found'
+        });
+      }
+
+      if (req.params.version === latestVersion) {
+        return res.status(400).json({
+          success: false,
+          message: 'The airdrop is already at this version'
+        });
+      }
+
+      const before = airdrop.$clone();
+      const wasDaily = airdrop.isDailyTask;
+
+      const values = await AirdropVersion.getValuesAt(airdrop._id, req.params.version);
+      Object.entries(values).forEach(([field, value]) => {
+        airdrop.set(field, value === null ? undefined : value);
+      });
+
+      await airdrop.save();
+
+      // Reverting can switch the daily task on or off, or change its details
+      await syncDailyTaskForAirdrop(airdrop, wasDaily, req.user._id);
+
+      const version = await AirdropVersion.record(before, airdrop, req.user._id, {
+        source: 'revert',
+        revertedTo: req.params.version
+      });
+      await Activity.record(buildChangeEvents(before, airdrop, req.user._id));
+
+      res.json({
         success: true,
-        data: savedAirdrop,
-        message: 'Airdrop created successfully'
+        data: airdrop,
+        version: version ? version.version : latestVersion,
+        message: `Airdrop reverted to version ${req.params.version}`
       });
 
     } catch (error) {
-      console.error('Error creating airdrop:', error);
+      console.error('Error reverting airdrop:', error);
       res.status(400).json({
         success: false,
-        message: 'Failed to create airdrop',
+        message: 'Failed to revert airdrop',
         error: error.message
       });
     }
   }
 );
 
-// PUT /api/airdrops/:id - Update airdrop
-// Protected endpoint - only creator can update
-router.put('/:id',
+// POST /api/airdrops/:id/wallets - Attach wallets that are farming this airdrop
+router.post('/:id/wallets',
   protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
   param('id').isMongoId().withMessage('Invalid airdrop ID'),
-  airdropValidation,
+  walletAttachValidation,
   handleValidationErrors,
   async (req, res) => {
     try {
-      // First check if airdrop exists and user owns it
-      const existingAirdrop = await Airdrop.findById(req.params.id);
-      
-      if (!existingAirdrop) {
+      const { walletIds } = req.body;
+
+      if (!(await Wallet.belongToUser(walletIds, req.user._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid wallet reference'
+        });
+      }
+
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+
+      if (!airdrop) {
         return res.status(404).json({
           success: false,
           message: 'Airdrop not found'
         });
       }
-      
-      // Check if user owns this airdrop
-      if (!existingAirdrop.user.equals(req.user._id)) {
-        return res.status(403).json({
+
+      const attachedIds = new Set(airdrop.wallets.map(id => id.toString()));
+      const newIds = [...new Set(walletIds)].filter(id => !attachedIds.has(id));
+
+      airdrop.wallets.push(...newIds);
+      await airdrop.save();
+      await airdrop.populate('wallets', 'label address chainType isActive');
+
+      await Activity.record(newIds.map(wallet => ({
+        airdrop: airdrop._id,
+        user: req.user._id,
+        type: 'wallet_attached',
+        data: { wallet }
+      })));
+
+      res.json({
+        success: true,
+        data: airdrop,
+        message: 'Wallets attached successfully'
+      });
+
+    } catch (error) {
+      console.error('Error attaching wallets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to attach wallets',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/airdrops/:id/wallets/:walletId - Detach a wallet from this airdrop
+router.delete('/:id/wallets/:walletId',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  param('walletId').isMongoId().withMessage('Invalid wallet ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOneAndUpdate(
+        { _id: req.params.id, ...scopeFilter(req) },
+        { $pull: { wallets: req.params.walletId } }
+      );
+
+      if (!airdrop) {
+        return res.status(404).json({
           success: false,
-          message: 'You can only update your own airdrops'
+          message: 'Airdrop not found'
         });
       }
-      
-      // Store the previous isDailyTask state
-      const wasDaily = existingAirdrop.isDailyTask;
-      
-      const airdrop = await Airdrop.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { 
-          new: true, 
-          runValidators: true,
-          context: 'query'
-        }
-      );
+
+      // findOneAndUpdate returned the airdrop before the wallet was pulled
+      if (airdrop.wallets.some(id => id.equals(req.params.walletId))) {
+        await Activity.record({
+          airdrop: airdrop._id,
+          user: req.user._id,
+          type: 'wallet_detached',
+          data: { wallet: req.params.walletId }
+        });
+        airdrop.wallets.pull(req.params.walletId);
+
+        // The wallet's eligibility progress goes with it
+        await Airdrop.updateOne(
+          { _id: airdrop._id, 'eligibility.wallets.wallet': req.params.walletId },
+          { $pull: { 'eligibility.$[].wallets': { wallet: req.params.walletId } } }
+        );
+        airdrop.eligibility.forEach(criterion => {
+          criterion.wallets = criterion.wallets.filter(progress => !progress.wallet.equals(req.params.walletId));
+        });
+      }
+      await airdrop.populate('wallets', 'label address chainType isActive');
+
+      res.json({
+        success: true,
+        data: airdrop,
+        message: 'Wallet detached successfully'
+      });
+
+    } catch (error) {
+      console.error('Error detaching wallet:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to detach wallet',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/airdrops/:id/eligibility - Add an eligibility criterion
+router.post('/:id/eligibility',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  criterionCreateValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
 
       if (!airdrop) {
         return res.status(404).json({
@@ -415,69 +2538,158 @@ router.put('/:id',
         });
       }
 
-      // Handle daily task changes
-      if (airdrop.isDailyTask && !wasDaily) {
-        // Airdrop was changed to daily task - create daily task
-        try {
-          await createDailyTaskForAirdrop(airdrop, req.user._id);
-        } catch (taskError) {
-          console.error('Error creating daily task:', taskError);
-        }
-      } else if (!airdrop.isDailyTask && wasDaily) {
-        // Airdrop was removed from daily task - remove daily task
-        try {
-          await removeDailyTaskForAirdrop(airdrop._id, req.user._id);
-        } catch (taskError) {
-          console.error('Error removing daily task:', taskError);
-        }
-      } else if (airdrop.isDailyTask && wasDaily) {
-        // Update existing daily task if the airdrop details changed
-        try {
-          await Task.updateMany(
-            { airdrop: airdrop._id, user: req.user._id, isDaily: true },
-            {
-              title: airdrop.dailyTaskNote || `Daily task for ${airdrop.name}`,
-              description: airdrop.description,
-              project: airdrop.name,
-              category: airdrop.type || 'Mainnet'
-            }
-          );
-        } catch (taskError) {
-          console.error('Error updating daily task:', taskError);
-        }
+      if (airdrop.eligibility.length >= Airdrop.MAX_CRITERIA) {
+        return res.status(400).json({
+          success: false,
+          message: `An airdrop can have at most ${Airdrop.MAX_CRITERIA} eligibility criteria`
+        });
+      }
+
+      const changes = pickCriterionChanges(req.body, airdrop);
+      if (!changes) {
+        return res.status(400).json({
+          success: false,
+          message: 'Wallet progress can only be tracked for wallets attached to this airdrop'
+        });
+      }
+
+      airdrop.eligibility.push({ label: changes.label, target: changes.target });
+      const criterion = airdrop.eligibility[airdrop.eligibility.length - 1];
+      criterion.applyChanges(changes);
+      await airdrop.save();
+
+      if (criterion.met) {
+        await recordMetCriteria(airdrop, [criterion], req.user._id);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: airdrop,
+        message: 'Eligibility criterion added successfully'
+      });
+
+    } catch (error) {
+      console.error('Error adding eligibility criterion:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add eligibility criterion',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/airdrops/:id/eligibility/:criterionId - Update a criterion's values or progress
+// met follows the values unless it is sent; wallet progress replaces the criterion's list
+router.put('/:id/eligibility/:criterionId',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  param('criterionId').isMongoId().withMessage('Invalid criterion ID'),
+  criterionFieldValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+      const criterion = airdrop && airdrop.eligibility.id(req.params.criterionId);
+
+      if (!criterion) {
+        return res.status(404).json({
+          success: false,
+          message: airdrop ? 'Eligibility criterion not found' : 'Airdrop not found'
+        });
+      }
+
+      const changes = pickCriterionChanges(req.body, airdrop);
+      if (!changes) {
+        return res.status(400).json({
+          success: false,
+          message: 'Wallet progress can only be tracked for wallets attached to this airdrop'
+        });
+      }
+
+      const wasMet = criterion.met;
+      criterion.applyChanges(changes);
+      await airdrop.save();
+
+      if (criterion.met && !wasMet) {
+        await recordMetCriteria(airdrop, [criterion], req.user._id);
       }
 
       res.json({
         success: true,
         data: airdrop,
-        message: 'Airdrop updated successfully'
+        message: 'Eligibility criterion updated successfully'
       });
 
     } catch (error) {
-      console.error('Error updating airdrop:', error);
-      res.status(400).json({
+      console.error('Error updating eligibility criterion:', error);
+      res.status(500).json({
         success: false,
-        message: 'Failed to update airdrop',
+        message: 'Failed to update eligibility criterion',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/airdrops/:id/eligibility/:criterionId - Remove an eligibility criterion
+router.delete('/:id/eligibility/:criterionId',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  param('criterionId').isMongoId().withMessage('Invalid criterion ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+      const criterion = airdrop && airdrop.eligibility.id(req.params.criterionId);
+
+      if (!criterion) {
+        return res.status(404).json({
+          success: false,
+          message: airdrop ? 'Eligibility criterion not found' : 'Airdrop not found'
+        });
+      }
+
+      criterion.deleteOne();
+      await airdrop.save();
+
+      res.json({
+        success: true,
+        data: airdrop,
+        message: 'Eligibility criterion removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Error removing eligibility criterion:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove eligibility criterion',
         error: error.message
       });
     }
   }
 );
 
-// DELETE /api/airdrops/:id - Delete airdrop and all related tasks (user's own only)
+// DELETE /api/airdrops/:id - Move airdrop and its tasks to the trash
 router.delete('/:id',
   protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
   param('id').isMongoId().withMessage('Invalid airdrop ID'),
   handleValidationErrors,
   async (req, res) => {
     try {
-      // First, verify the airdrop exists and belongs to the user
-      const airdrop = await Airdrop.findOne(
-        { 
-          _id: req.params.id, 
-          user: req.user._id 
-        }
-      );
+      const airdrop = await Airdrop.moveToTrash(req.params.id, scopeFilter(req));
 
       if (!airdrop) {
         return res.status(404).json({
@@ -486,20 +2698,20 @@ router.delete('/:id',
         });
       }
 
-      // Delete all related tasks first
-      await removeAllTasksForAirdrop(req.params.id, req.user._id);
-
-      // Then delete the airdrop
-      await Airdrop.findOneAndDelete(
-        { 
-          _id: req.params.id, 
-          user: req.user._id 
-        }
-      );
+      await Activity.record({
+        airdrop: airdrop._id,
+        user: req.user._id,
+        type: 'airdrop_trashed'
+      });
 
       res.json({
         success: true,
-        message: 'Airdrop and related tasks deleted successfully'
+        data: {
+          id: airdrop._id,
+          deletedAt: airdrop.deletedAt,
+          purgeAt: getPurgeDate(airdrop.deletedAt)
+        },
+        message: `Airdrop moved to trash, it will be deleted permanently after ${getTrashRetentionDays()} days`
       });
 
     } catch (error) {
@@ -513,14 +2725,19 @@ router.delete('/:id',
   }
 );
 
-// GET /api/airdrops/status/:status - Get airdrops by status
+// GET /api/airdrops/status/:status - Get user's airdrops by status
+// Accepts status names or slugs, e.g. 'Snapshot Taken' or 'snapshot-taken'
 router.get('/status/:status',
-  param('status').isIn(['upcoming', 'active', 'completed', 'ended']).withMessage('Invalid status'),
+  protect,
+  workspaceScope,
+  param('status')
+    .custom(status => Airdrop.resolveStatus(status) !== null)
+    .withMessage(`Status must be one of: ${Airdrop.STATUSES.join(', ')}`),
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { status } = req.params;
-      const airdrops = await Airdrop.getByStatus(status);
+      const status = Airdrop.resolveStatus(req.params.status);
+      const airdrops = await Airdrop.getByScopeAndStatus(scopeFilter(req), status);
       
       res.json({
         success: true,
@@ -539,13 +2756,82 @@ router.get('/status/:status',
   }
 );
 
-// PATCH /api/airdrops/:id/complete - Mark airdrop as completed
+// PATCH /api/airdrops/:id/status - Move airdrop to a new lifecycle status
+router.patch('/:id/status',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid airdrop ID'),
+  body('status')
+    .isIn(Airdrop.STATUSES)
+    .withMessage(`Status must be one of: ${Airdrop.STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot be more than 200 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
+
+      if (!airdrop) {
+        return res.status(404).json({
+          success: false,
+          message: 'Airdrop not found'
+        });
+      }
+
+      const previousStatus = airdrop.status;
+      await airdrop.transitionTo(req.body.status, req.body.note);
+
+      await Activity.record({
+        airdrop: airdrop._id,
+        user: req.user._id,
+        type: 'status_changed',
+        data: { from: previousStatus, to: airdrop.status, note: req.body.note }
+      });
+
+      res.json({
+        success: true,
+        data: airdrop,
+        message: `Airdrop status changed to ${airdrop.status}`
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error changing airdrop status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to change airdrop status',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/airdrops/:id/complete - Mark airdrop as completed (claimed)
 router.patch('/:id/complete',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
   param('id').isMongoId().withMessage('Invalid airdrop ID'),
   handleValidationErrors,
   async (req, res) => {
     try {
-      const airdrop = await Airdrop.findById(req.params.id);
+      const airdrop = await Airdrop.findOne({
+        _id: req.params.id,
+        ...scopeFilter(req)
+      });
       
       if (!airdrop) {
         return res.status(404).json({
@@ -554,8 +2840,16 @@ router.patch('/:id/complete',
         });
       }
 
+      const previousStatus = airdrop.status;
       await airdrop.markCompleted();
 
+      await Activity.record({
+        airdrop: airdrop._id,
+        user: req.user._id,
+        type: 'status_changed',
+        data: { from: previousStatus, to: airdrop.status }
+      });
+
       res.json({
         success: true,
         data: airdrop,
@@ -563,6 +2857,13 @@ router.patch('/:id/complete',
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Error marking airdrop as completed:', error);
       res.status(500).json({
         success: false,
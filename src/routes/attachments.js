@@ -0,0 +1,447 @@
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const { body, validationResult, param, query } = require('express-validator');
+const Attachment = require('../models/Attachment');
+const Airdrop = require('../models/Airdrop');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const { protect } = require('../middleware/auth');
+const { workspaceScope, requireWorkspaceRole, scopeFilter } = require('../middleware/workspace');
+const { getStorage } = require('../storage');
+const { ALLOWED_MIME_TYPES, detectFileType } = require('../utils/fileType');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const THUMBNAIL_SIZE = 320;
+
+// Uploads are kept in memory so their contents can be checked before they are stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: 1
+  }
+});
+
+// Accept a single 'file' field and turn upload errors into 400/413 responses
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${MAX_FILE_SIZE_MB} MB`
+          : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for uploading attachments
+const attachmentValidation = [
+  body('airdrop')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid airdrop ID'),
+  body('task')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot be more than 200 characters')
+];
+
+// Find an attachment in the user's journal or workspace
+const findAttachment = (req) => Attachment.findOne({ _id: req.params.id, ...scopeFilter(req) });
+
+// Stream a stored file to the response
+const sendStoredFile = (res, attachment, key, contentType) => {
+  const stream = getStorage(attachment.storage).createReadStream(key);
+
+  stream.on('error', (error) => {
+    console.error('Error reading attachment file:', error);
+    if (!res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    } else {
+      // Abort the transfer, so the client doesn't keep a truncated file
+      res.destroy(error);
+    }
+  });
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  stream.pipe(res);
+};
+
+// GET /api/attachments - Get user's attachments, or the workspace's (filter by airdrop or task)
+router.get('/',
+  protect,
+  workspaceScope,
+  query('airdrop').optional().isMongoId().withMessage('Invalid airdrop ID'),
+  query('task').optional().isMongoId().withMessage('Invalid task ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { airdrop, task } = req.query;
+
+      const filter = { ...scopeFilter(req) };
+      if (airdrop) {
+        filter.airdrop = airdrop;
+      }
+      if (task) {
+        filter.task = task;
+      }
+
+      const attachments = await Attachment.find(filter).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: attachments,
+        count: attachments.length
+      });
+
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch attachments',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/attachments/:id - Get attachment details
+router.get('/:id',
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid attachment ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const attachment = await findAttachment(req);
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: attachment
+      });
+
+    } catch (error) {
+      console.error('Error fetching attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch attachment',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/attachments/:id/file - Download the attached file
+router.get('/:id/file',
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid attachment ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const attachment = await findAttachment(req);
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(attachment.originalName)}"`);
+      sendStoredFile(res, attachment, attachment.storageKey, attachment.mimeType);
+
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download attachment',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/attachments/:id/thumbnail - Get the thumbnail of an image attachment
+router.get('/:id/thumbnail',
+  protect,
+  workspaceScope,
+  param('id').isMongoId().withMessage('Invalid attachment ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const attachment = await findAttachment(req);
+
+      if (!attachment || !attachment.thumbnailKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thumbnail not found'
+        });
+      }
+
+      sendStoredFile(res, attachment, attachment.thumbnailKey, 'image/webp');
+
+    } catch (error) {
+      console.error('Error fetching thumbnail:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch thumbnail',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/attachments - Upload a file (multipart field 'file') to an airdrop and/or task
+router.post('/',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  uploadFile,
+  attachmentValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `A file is required. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`
+        });
+      }
+
+      // Trust the file contents, not the content type the client sent
+      const fileType = detectFileType(req.file.buffer);
+      if (!fileType) {
+        return res.status(400).json({
+          success: false,
+          message: `File type not allowed. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`
+        });
+      }
+
+      let airdropId = req.body.airdrop;
+      const taskId = req.body.task;
+
+      if (!airdropId && !taskId) {
+        return res.status(400).json({
+          success: false,
+          message: 'An airdrop or task to attach the file to is required'
+        });
+      }
+
+      if (taskId) {
+        const task = await Task.findOne({ _id: taskId, ...scopeFilter(req) });
+        if (!task) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid task reference'
+          });
+        }
+
+        // Task attachments also show up on the task's airdrop
+        if (task.airdrop && airdropId && !task.airdrop.equals(airdropId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'The task does not belong to this airdrop'
+          });
+        }
+        airdropId = airdropId || task.airdrop;
+      }
+
+      if (airdropId && !(await Airdrop.exists({ _id: airdropId, ...scopeFilter(req) }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid airdrop reference'
+        });
+      }
+
+      const storage = getStorage();
+      const attachment = new Attachment({
+        ...scopeFilter(req),
+        user: req.user._id,
+        airdrop: airdropId,
+        task: taskId,
+        originalName: req.file.originalname,
+        mimeType: fileType.mimeType,
+        size: req.file.size,
+        storage: storage.name,
+        caption: req.body.caption
+      });
+      attachment.storageKey = `${req.user._id}/${attachment._id}${fileType.extension}`;
+
+      let thumbnail;
+      if (fileType.mimeType.startsWith('image/')) {
+        try {
+          const image = sharp(req.file.buffer);
+          const metadata = await image.metadata();
+          attachment.width = metadata.width;
+          attachment.height = metadata.height;
+
+          thumbnail = await image
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp()
+            .toBuffer();
+          attachment.thumbnailKey = `${req.user._id}/${attachment._id}-thumb.webp`;
+        } catch (imageError) {
+          return res.status(400).json({
+            success: false,
+            message: 'Image could not be read',
+            error: imageError.message
+          });
+        }
+      }
+
+      try {
+        await storage.save(attachment.storageKey, req.file.buffer, fileType.mimeType);
+        if (thumbnail) {
+          await storage.save(attachment.thumbnailKey, thumbnail, 'image/webp');
+        }
+        await attachment.save();
+      } catch (saveError) {
+        // Don't leave files behind without a record
+        await attachment.removeFiles().catch(() => {});
+        throw saveError;
+      }
+
+      if (attachment.airdrop) {
+        await Activity.record({
+          airdrop: attachment.airdrop,
+          user: req.user._id,
+          type: 'attachment_added',
+          task: attachment.task,
+          data: { attachment: attachment._id, originalName: attachment.originalName }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: attachment,
+        message: 'File uploaded successfully'
+      });
+
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to upload file',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/attachments/:id - Update an attachment's caption
+router.put('/:id',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid attachment ID'),
+  body('caption')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot be more than 200 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const attachment = await Attachment.findOneAndUpdate(
+        { _id: req.params.id, ...scopeFilter(req) },
+        { caption: req.body.caption },
+        { new: true, runValidators: true }
+      );
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: attachment,
+        message: 'Attachment updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating attachment:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update attachment',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/attachments/:id - Delete an attachment and its stored file
+router.delete('/:id',
+  protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
+  param('id').isMongoId().withMessage('Invalid attachment ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const removed = await Attachment.removeWhere({ _id: req.params.id, ...scopeFilter(req) });
+
+      if (removed === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Attachment deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete attachment',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const Airdrop = require('../models/Airdrop');
+const Task = require('../models/Task');
+const Chain = require('../models/Chain');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+const { buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// Airdrop dates that become calendar events, with the label of their event
+const AIRDROP_DATE_EVENTS = {
+  startDate: 'Starts',
+  deadline: 'Deadline',
+  snapshotDate: 'Snapshot',
+  endDate: 'Ends'
+};
+
+const UID_DOMAIN = 'airdrop-journal';
+
+// Events older than this many days are left out of the feed
+const getCalendarPastDays = () => parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 30;
+
+const getFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+// Split a list parameter given as 'a,b' or repeated (?tags=a&tags=b)
+const parseListParam = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Build the airdrop filter of the feed, over the user's personal journal. Ecosystems match
+// the ecosystem label or, for multi-chain airdrops, one of their chains.
+const buildFeedFilter = async (params, userId) => {
+  const query = { user: userId, workspace: null };
+
+  const tags = parseListParam(params.tags).map(tag => tag.toLowerCase());
+  if (tags.length > 0) {
+    query.tags = { $in: tags };
+  }
+
+  const ecosystems = parseListParam(params.ecosystem);
+  if (ecosystems.length > 0) {
+    const visibleChains = await Chain.find(Chain.visibleTo(userId));
+    const { matched } = Chain.matchRefs(visibleChains, ecosystems);
+    query.$or = [
+      { ecosystem: { $in: ecosystems.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) } },
+      { chains: { $in: matched.map(chain => chain._id) } }
+    ];
+  }
+
+  return { query, tags, ecosystems };
+};
+
+// Build the feed's events: airdrop dates, due dates of open tasks and, when asked for,
+// daily tasks as events recurring every day
+const buildFeedEvents = async (user, params) => {
+  const since = new Date(Date.now() - getCalendarPastDays() * 24 * 60 * 60 * 1000);
+  const { query, tags, ecosystems } = await buildFeedFilter(params, user._id);
+  const isFiltered = tags.length > 0 || ecosystems.length > 0;
+
+  const airdrops = await Airdrop.find(query)
+    .select(`name status ecosystem tags officialLink deadlineNote ${Object.keys(AIRDROP_DATE_EVENTS).join(' ')}`);
+
+  const events = [];
+  airdrops.forEach(airdrop => {
+    Object.entries(AIRDROP_DATE_EVENTS).forEach(([field, label]) => {
+      const date = airdrop[field];
+      if (!date || date < since) return;
+
+      events.push({
+        uid: `airdrop-${airdrop._id}-${field}@${UID_DOMAIN}`,
+        start: date,
+        summary: `${airdrop.name}: ${label}`,
+        description: [
+          `Status: ${airdrop.status}`,
+          `Ecosystem: ${airdrop.ecosystem}`,
+          field === 'deadline' && airdrop.deadlineNote ? airdrop.deadlineNote : null
+        ].filter(Boolean).join('\n'),
+        url: airdrop.officialLink,
+        categories: airdrop.tags
+      });
+    });
+  });
+
+  // With a filter, tasks belong to a matching airdrop (or carry one of the tags themselves)
+  const taskQuery = { user: user._id, workspace: null };
+  if (isFiltered) {
+    taskQuery.$or = [{ airdrop: { $in: airdrops.map(airdrop => airdrop._id) } }];
+    if (tags.length > 0 && ecosystems.length === 0) {
+      taskQuery.$or.push({ tags: { $in: tags } });
+    }
+  }
+
+  const includeDaily = ['true', '1'].includes(String(params.daily));
+  const tasks = await Task.find({
+    ...taskQuery,
+    $and: [{
+      $or: [
+        { isDaily: false, completed: false, dueDate: { $gte: since } },
+        ...(includeDaily ? [{ isDaily: true }] : [])
+      ]
+    }]
+  })
+    .populate('airdrop', 'name officialLink')
+    .select('title description isDaily dueDate tags airdrop createdAt');
+
+  tasks.forEach(task => {
+    const event = {
+      summary: task.airdrop ? `${task.title} (${task.airdrop.name})` : task.title,
+      description: task.description,
+      url: task.airdrop ? task.airdrop.officialLink : undefined,
+      categories: task.tags
+    };
+
+    if (task.isDaily) {
+      events.push({
+        ...event,
+        uid: `task-${task._id}-daily@${UID_DOMAIN}`,
+        start: task.createdAt,
+        allDay: true,
+        rrule: 'FREQ=DAILY'
+      });
+    } else {
+      events.push({
+        ...event,
+        uid: `task-${task._id}@${UID_DOMAIN}`,
+        start: task.dueDate
+      });
+    }
+  });
+
+  return events.sort((a, b) => a.start - b.start);
+};
+
+// GET /api/calendar/token - Whether the user's calendar feed is enabled
+router.get('/token', protect, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: !!req.user.calendarTokenCreatedAt,
+      createdAt: req.user.calendarTokenCreatedAt || null
+    }
+  });
+});
+
+// POST /api/calendar/token - Create the calendar feed URL, replacing (and revoking) any previous one
+router.post('/token', protect, async (req, res) => {
+  try {
+    const token = req.user.createCalendarToken();
+    await req.user.save({ validateBeforeSave: false });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        feedUrl: getFeedUrl(req, token),
+        createdAt: req.user.calendarTokenCreatedAt
+      },
+      message: 'Calendar feed created. Copy the URL now - it is only shown once'
+    });
+
+  } catch (error) {
+    console.error('Error creating calendar token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/calendar/token - Revoke the calendar feed URL
+router.delete('/token', protect, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { calendarToken: 1, calendarTokenCreatedAt: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+
+  } catch (error) {
+    console.error('Error revoking calendar token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/calendar/feed/:token.ics - iCalendar feed of the user's airdrop dates and tasks
+// Public endpoint - the secret token in the URL identifies the user, so calendar apps can subscribe.
+// Filter with `tags` and `ecosystem` (comma separated), `daily=true` adds daily tasks.
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const events = await buildFeedEvents(user, req.query);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="airdrop-journal.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(buildCalendar({ name: 'Airdrop Journal', events }));
+
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
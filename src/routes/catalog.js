@@ -0,0 +1,359 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, param } = require('express-validator');
+const CatalogAirdrop = require('../models/CatalogAirdrop');
+const Airdrop = require('../models/Airdrop');
+const Chain = require('../models/Chain');
+const { protect, restrictTo, optionalAuth } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating catalog entries
+const catalogValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Description must be between 1 and 1000 characters'),
+  body('officialLink')
+    .matches(/^https?:\/\/.+/)
+    .withMessage('Official link must be a valid URL starting with http:// or https://'),
+  body('tokenSymbol')
+    .optional()
+    .trim()
+    .isLength({ max: 10 })
+    .withMessage('Token symbol cannot be more than 10 characters'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('chains')
+    .optional()
+    .isArray()
+    .withMessage('Chains must be an array of chain IDs or names'),
+  body('defaultTasks')
+    .optional()
+    .isArray()
+    .withMessage('Default tasks must be an array'),
+  body('defaultTasks.*.title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each default task needs a title between 1 and 200 characters'),
+  body('isPublished')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublished must be a boolean')
+];
+
+const catalogFields = [
+  'name', 'description', 'ecosystem', 'chains', 'type', 'estimatedValue', 'officialLink',
+  'logoUrl', 'bannerUrl', 'tokenSymbol', 'tags', 'isDailyTask', 'dailyTaskNote',
+  'deadline', 'startDate', 'endDate', 'snapshotDate', 'socialMedia', 'defaultTasks', 'isPublished'
+];
+
+// Pick the editable catalog fields from the request body
+const pickCatalogFields = (source) => {
+  const data = {};
+  catalogFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// Resolve chain input to global chains - catalog entries are shared, so personal chains can't be used
+const resolveCatalogChains = async (req, res, next) => {
+  const { chains, ecosystem } = req.body;
+
+  if (chains === undefined && (!ecosystem || ecosystem === Chain.MULTI_CHAIN)) {
+    return next();
+  }
+
+  try {
+    const resolved = await Chain.resolveRefs(chains !== undefined ? chains : ecosystem, null);
+    req.body.chains = resolved.map(chain => chain._id);
+    req.body.ecosystem = Chain.ecosystemFor(resolved);
+    next();
+  } catch (error) {
+    if (!error.statusCode) return next(error);
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// GET /api/catalog - Browse and search the shared airdrop catalog
+// Public endpoint - signed in users also see which entries are already in their journal
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const {
+      search,
+      ecosystem,
+      chain,
+      type,
+      tags,
+      page = 1,
+      limit = 20,
+      sortBy = 'popular'
+    } = req.query;
+
+    const query = {};
+
+    // Only admins can see unpublished entries
+    if (!req.user || req.user.role !== 'admin') {
+      query.isPublished = true;
+    }
+
+    if (search) {
+      const searchRegex = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { name: searchRegex },
+        { description: searchRegex },
+        { tokenSymbol: searchRegex }
+      ];
+    }
+
+    if (ecosystem) {
+      query.ecosystem = ecosystem;
+    }
+
+    if (chain && mongoose.isValidObjectId(chain)) {
+      query.chains = chain;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : [tags];
+      query.tags = { $in: tagArray.map(tag => tag.toLowerCase()) };
+    }
+
+    const sortOptions = {
+      popular: { cloneCount: -1, name: 1 },
+      newest: { createdAt: -1 },
+      name: { name: 1 }
+    };
+    const sort = Object.prototype.hasOwnProperty.call(sortOptions, sortBy) ? sortOptions[sortBy] : sortOptions.popular;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [entries, total] = await Promise.all([
+      CatalogAirdrop.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .populate('chains', Airdrop.CHAIN_FIELDS),
+      CatalogAirdrop.countDocuments(query)
+    ]);
+
+    // Mark the entries the signed in user has already added to their journal
+    let clonedIds = new Set();
+    if (req.user) {
+      const cloned = await Airdrop.find({
+        user: req.user._id,
+        catalogEntry: { $in: entries.map(entry => entry._id) }
+      }).select('catalogEntry');
+      clonedIds = new Set(cloned.map(airdrop => airdrop.catalogEntry.toString()));
+    }
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => ({
+        ...entry.toJSON(),
+        inJournal: req.user ? clonedIds.has(entry._id.toString()) : undefined
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching catalog:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch catalog',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/catalog/:id - Get single catalog entry
+router.get('/:id',
+  optionalAuth,
+  param('id').isMongoId().withMessage('Invalid catalog entry ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const query = { _id: req.params.id };
+      if (!req.user || req.user.role !== 'admin') {
+        query.isPublished = true;
+      }
+
+      const entry = await CatalogAirdrop.findOne(query).populate('chains', Airdrop.CHAIN_FIELDS);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog entry not found'
+        });
+      }
+
+      const inJournal = req.user
+        ? await Airdrop.exists({ user: req.user._id, catalogEntry: entry._id }) !== null
+        : undefined;
+
+      res.json({
+        success: true,
+        data: {
+          ...entry.toJSON(),
+          inJournal
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching catalog entry:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch catalog entry',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/catalog - Create catalog entry (Admin only)
+router.post('/',
+  protect,
+  restrictTo('admin'),
+  catalogValidation,
+  handleValidationErrors,
+  resolveCatalogChains,
+  async (req, res) => {
+    try {
+      const entry = new CatalogAirdrop({
+        ...pickCatalogFields(req.body),
+        createdBy: req.user._id
+      });
+      const savedEntry = await entry.save();
+
+      res.status(201).json({
+        success: true,
+        data: savedEntry,
+        message: 'Catalog entry created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating catalog entry:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to create catalog entry',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/catalog/:id - Update catalog entry (Admin only)
+router.put('/:id',
+  protect,
+  restrictTo('admin'),
+  param('id').isMongoId().withMessage('Invalid catalog entry ID'),
+  catalogValidation,
+  handleValidationErrors,
+  resolveCatalogChains,
+  async (req, res) => {
+    try {
+      const entry = await CatalogAirdrop.findById(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog entry not found'
+        });
+      }
+
+      entry.set(pickCatalogFields(req.body));
+      const updatedEntry = await entry.save();
+
+      res.json({
+        success: true,
+        data: updatedEntry,
+        message: 'Catalog entry updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating catalog entry:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update catalog entry',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/catalog/:id - Delete catalog entry (Admin only)
+// Airdrops already cloned into journals are kept
+router.delete('/:id',
+  protect,
+  restrictTo('admin'),
+  param('id').isMongoId().withMessage('Invalid catalog entry ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const entry = await CatalogAirdrop.findByIdAndDelete(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog entry not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Catalog entry deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting catalog entry:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete catalog entry',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
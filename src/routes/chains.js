@@ -0,0 +1,327 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Chain = require('../models/Chain');
+const Airdrop = require('../models/Airdrop');
+const CatalogAirdrop = require('../models/CatalogAirdrop');
+const { protect, optionalAuth } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating chains
+const chainValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters')
+    .not()
+    .equals(Chain.MULTI_CHAIN)
+    .withMessage(`'${Chain.MULTI_CHAIN}' is reserved for airdrops on several chains`),
+  body('chainType')
+    .optional()
+    .isIn(Chain.TYPES)
+    .withMessage(`Chain type must be one of: ${Chain.TYPES.join(', ')}`),
+  body('chainId')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Chain ID cannot be more than 100 characters'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category cannot be more than 50 characters'),
+  body('global')
+    .optional()
+    .isBoolean()
+    .withMessage('global must be a boolean')
+    .toBoolean()
+];
+
+const chainFields = ['name', 'chainType', 'chainId', 'category', 'explorerTxUrl', 'explorerAddressUrl'];
+
+// Pick the editable chain fields from the request body
+const pickChainFields = (source) => {
+  const data = {};
+  chainFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// Global chains are managed by admins, a user's own chains by that user
+const canManage = (chain, user) => (chain.user ? chain.user.equals(user._id) : user.role === 'admin');
+
+// A name can't be used twice among the chains a user sees
+const findNameConflict = (name, userId, excludeId) => Chain.findOne({
+  ...Chain.visibleTo(userId),
+  slug: Chain.slugify(name),
+  _id: { $ne: excludeId }
+});
+
+// Take a deleted chain off the matching documents (trashed airdrops included) and set their
+// ecosystem from the chains they have left, as if they had been saved with those
+const removeChainFrom = async (Model, chainId, filter) => {
+  const ids = await Model.find({ ...filter, chains: chainId }).setOptions({ withDeleted: true }).distinct('_id');
+  if (ids.length === 0) return;
+
+  await Model.updateMany({ _id: { $in: ids } }, { $pull: { chains: chainId } });
+
+  const docs = await Model.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select('chains')
+    .populate('chains', 'name');
+
+  await Model.bulkWrite(docs.map(doc => ({
+    updateOne: {
+      filter: { _id: doc._id },
+      update: { $set: { ecosystem: Chain.ecosystemFor(doc.chains) } }
+    }
+  })));
+};
+
+// GET /api/chains - Get the chains registry: global chains plus the user's own
+// Public endpoint - signed in users also see the chains they added
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { chainType, search } = req.query;
+
+    const query = { ...Chain.visibleTo(req.user ? req.user._id : null) };
+
+    if (chainType) {
+      query.chainType = chainType;
+    }
+
+    if (search) {
+      query.name = new RegExp(escapeRegex(search), 'i');
+    }
+
+    const chains = await Chain.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: chains,
+      count: chains.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching chains:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch chains',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/chains/:id - Get single chain
+router.get('/:id',
+  optionalAuth,
+  param('id').isMongoId().withMessage('Invalid chain ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const chain = await Chain.findOne({
+        _id: req.params.id,
+        ...Chain.visibleTo(req.user ? req.user._id : null)
+      });
+
+      if (!chain) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chain not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: chain
+      });
+
+    } catch (error) {
+      console.error('Error fetching chain:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch chain',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/chains - Add a chain for yourself, or a global chain (`global: true`, admin only)
+router.post('/',
+  protect,
+  chainValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const isGlobal = req.body.global === true;
+
+      if (isGlobal && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can add global chains'
+        });
+      }
+
+      const userId = isGlobal ? null : req.user._id;
+      const conflict = await findNameConflict(req.body.name, userId);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: `A chain named '${conflict.name}' already exists`,
+          data: conflict
+        });
+      }
+
+      const chain = new Chain({
+        ...pickChainFields(req.body),
+        user: userId
+      });
+      const savedChain = await chain.save();
+
+      res.status(201).json({
+        success: true,
+        data: savedChain,
+        message: 'Chain created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating chain:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to create chain',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/chains/:id - Update a chain (your own, or a global one as admin)
+router.put('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid chain ID'),
+  chainValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const chain = await Chain.findOne({ _id: req.params.id, ...Chain.visibleTo(req.user._id) });
+
+      if (!chain) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chain not found'
+        });
+      }
+
+      if (!canManage(chain, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can change global chains'
+        });
+      }
+
+      const conflict = await findNameConflict(req.body.name, chain.user, chain._id);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: `A chain named '${conflict.name}' already exists`,
+          data: conflict
+        });
+      }
+
+      const previousName = chain.name;
+      chain.set(pickChainFields(req.body));
+      const updatedChain = await chain.save();
+
+      // Airdrops on just this chain show its name as their ecosystem
+      if (updatedChain.name !== previousName) {
+        const filter = { chains: [updatedChain._id] };
+        if (updatedChain.user) {
+          filter.user = updatedChain.user;
+        }
+        await Airdrop.updateMany(filter, { ecosystem: updatedChain.name });
+        await CatalogAirdrop.updateMany({ chains: [updatedChain._id] }, { ecosystem: updatedChain.name });
+      }
+
+      res.json({
+        success: true,
+        data: updatedChain,
+        message: 'Chain updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating chain:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update chain',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/chains/:id - Delete a chain and detach it from airdrops (your own, or a global one as admin)
+router.delete('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid chain ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const chain = await Chain.findOne({ _id: req.params.id, ...Chain.visibleTo(req.user._id) });
+
+      if (!chain) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chain not found'
+        });
+      }
+
+      if (!canManage(chain, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can delete global chains'
+        });
+      }
+
+      await chain.deleteOne();
+
+      // Airdrops and catalog entries lose the chain, and their ecosystem follows the chains left
+      await removeChainFrom(Airdrop, chain._id, chain.user ? { user: chain.user } : {});
+      if (!chain.user) {
+        await removeChainFrom(CatalogAirdrop, chain._id, {});
+      }
+
+      res.json({
+        success: true,
+        message: 'Chain deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting chain:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete chain',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
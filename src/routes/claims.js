@@ -0,0 +1,306 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const Claim = require('../models/Claim');
+const Airdrop = require('../models/Airdrop');
+const Wallet = require('../models/Wallet');
+const Activity = require('../models/Activity');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating claims
+const claimValidation = [
+  body('airdrop')
+    .isMongoId()
+    .withMessage('A valid airdrop ID is required'),
+  body('wallet')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid wallet ID'),
+  body('tokenSymbol')
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Token symbol must be between 1 and 10 characters'),
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('usdValue')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('USD value must be a positive number'),
+  body('claimedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Claim date must be a valid date'),
+  body('chain')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Chain cannot be more than 50 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+];
+
+// Check that the referenced airdrop and wallet belong to the user
+const validateReferences = async (req, res, next) => {
+  try {
+    const airdrop = await Airdrop.findOne({
+      _id: req.body.airdrop,
+      user: req.user._id
+    });
+
+    if (!airdrop) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid airdrop reference'
+      });
+    }
+
+    if (req.body.wallet) {
+      const wallet = await Wallet.findOne({
+        _id: req.body.wallet,
+        user: req.user._id
+      });
+
+      if (!wallet) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid wallet reference'
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const claimFields = ['airdrop', 'wallet', 'tokenSymbol', 'amount', 'claimedAt', 'txHash', 'chain', 'usdValue', 'notes'];
+
+// GET /api/claims - Get user's claims (filter by airdrop, wallet or token)
+router.get('/',
+  protect,
+  query('airdrop').optional().isMongoId().withMessage('Invalid airdrop ID'),
+  query('wallet').optional().isMongoId().withMessage('Invalid wallet ID'),
+  query('tokenSymbol')
+    .optional()
+    .custom(value => typeof value === 'string')
+    .withMessage('Token symbol must be a single value'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { airdrop, wallet, tokenSymbol } = req.query;
+
+      const claims = await Claim.getByUser(req.user._id, { airdrop, wallet, tokenSymbol });
+      const totalUsd = claims.reduce((sum, claim) => sum + (claim.usdValue || 0), 0);
+
+      res.json({
+        success: true,
+        data: claims,
+        count: claims.length,
+        totalUsd
+      });
+
+    } catch (error) {
+      console.error('Error fetching claims:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch claims',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/claims/:id - Get single claim
+router.get('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid claim ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const claim = await Claim.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      })
+        .populate('airdrop', 'name logoUrl')
+        .populate('wallet', 'label address chainType');
+
+      if (!claim) {
+        return res.status(404).json({
+          success: false,
+          message: 'Claim not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: claim
+      });
+
+    } catch (error) {
+      console.error('Error fetching claim:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch claim',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/claims - Log a new claim
+router.post('/',
+  protect,
+  claimValidation,
+  handleValidationErrors,
+  validateReferences,
+  async (req, res) => {
+    try {
+      const claimData = { user: req.user._id };
+      claimFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          claimData[field] = req.body[field];
+        }
+      });
+
+      const claim = new Claim(claimData);
+      await claim.save();
+
+      await Activity.record({
+        airdrop: claim.airdrop,
+        user: req.user._id,
+        type: 'claim_logged',
+        data: {
+          claim: claim._id,
+          tokenSymbol: claim.tokenSymbol,
+          amount: claim.amount,
+          usdValue: claim.usdValue
+        }
+      });
+
+      await claim.populate([
+        { path: 'airdrop', select: 'name logoUrl' },
+        { path: 'wallet', select: 'label address chainType' }
+      ]);
+
+      res.status(201).json({
+        success: true,
+        data: claim,
+        message: 'Claim logged successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating claim:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to log claim',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/claims/:id - Update claim
+router.put('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid claim ID'),
+  claimValidation,
+  handleValidationErrors,
+  validateReferences,
+  async (req, res) => {
+    try {
+      const claim = await Claim.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!claim) {
+        return res.status(404).json({
+          success: false,
+          message: 'Claim not found'
+        });
+      }
+
+      claimFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          claim[field] = req.body[field];
+        }
+      });
+
+      await claim.save();
+      await claim.populate([
+        { path: 'airdrop', select: 'name logoUrl' },
+        { path: 'wallet', select: 'label address chainType' }
+      ]);
+
+      res.json({
+        success: true,
+        data: claim,
+        message: 'Claim updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating claim:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update claim',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/claims/:id - Delete claim
+router.delete('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid claim ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const claim = await Claim.findOneAndDelete({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!claim) {
+        return res.status(404).json({
+          success: false,
+          message: 'Claim not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Claim deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting claim:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete claim',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,529 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const Expense = require('../models/Expense');
+const Claim = require('../models/Claim');
+const Airdrop = require('../models/Airdrop');
+const Wallet = require('../models/Wallet');
+const Activity = require('../models/Activity');
+const { protect } = require('../middleware/auth');
+const { workspaceScope, scopeFilter } = require('../middleware/workspace');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating expenses
+const expenseValidation = [
+  body('airdrop')
+    .isMongoId()
+    .withMessage('A valid airdrop ID is required'),
+  body('wallet')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid wallet ID'),
+  body('category')
+    .optional()
+    .isIn(Expense.CATEGORIES)
+    .withMessage(`Category must be one of: ${Expense.CATEGORIES.join(', ')}`),
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('currency')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Currency must be between 1 and 10 characters'),
+  body('usdValue')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('USD value must be a positive number'),
+  body('spentAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expense date must be a valid date'),
+  body('chain')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Chain cannot be more than 50 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+];
+
+// Check that the referenced airdrop and wallet belong to the user
+const validateReferences = async (req, res, next) => {
+  try {
+    const airdrop = await Airdrop.findOne({
+      _id: req.body.airdrop,
+      user: req.user._id
+    });
+
+    if (!airdrop) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid airdrop reference'
+      });
+    }
+
+    if (req.body.wallet) {
+      const wallet = await Wallet.findOne({
+        _id: req.body.wallet,
+        user: req.user._id
+      });
+
+      if (!wallet) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid wallet reference'
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const expenseFields = ['airdrop', 'wallet', 'category', 'amount', 'currency', 'usdValue', 'chain', 'txHash', 'spentAt', 'notes'];
+
+// Period formats for the ROI timeline
+const ROI_INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Return on investment as a percentage, null when nothing has been spent
+const calculateRoi = (spentUsd, claimedUsd) => {
+  if (!spentUsd) return null;
+  return Math.round(((claimedUsd - spentUsd) / spentUsd) * 10000) / 100;
+};
+
+// Airdrops the ROI reports of a request cover, and whose spend and rewards count: the user's
+// own on their personal airdrops, or every member's on the workspace's airdrops
+const getRoiScope = async (req) => {
+  const airdrops = await Airdrop.find(scopeFilter(req)).select('name logoUrl ecosystem status estimatedValue');
+
+  return {
+    airdrops,
+    airdropIds: airdrops.map(airdrop => airdrop._id),
+    userId: req.workspace ? null : req.user._id
+  };
+};
+
+// Spend vs rewards for every airdrop in the request's scope
+const getAirdropRoi = async (req) => {
+  const { airdrops, airdropIds, userId } = await getRoiScope(req);
+  const [spend, rewards] = await Promise.all([
+    Expense.sumByAirdrop(airdropIds, userId),
+    Claim.sumByAirdrop(airdropIds, userId)
+  ]);
+
+  const spendById = new Map(spend.map(row => [row._id.toString(), row]));
+  const rewardsById = new Map(rewards.map(row => [row._id.toString(), row]));
+
+  return airdrops.map(airdrop => {
+    const spent = spendById.get(airdrop._id.toString()) || { totalUsd: 0, count: 0, unpriced: 0 };
+    const claimed = rewardsById.get(airdrop._id.toString()) || { totalUsd: 0, count: 0, unpriced: 0 };
+
+    return {
+      airdrop: {
+        _id: airdrop._id,
+        name: airdrop.name,
+        logoUrl: airdrop.logoUrl,
+        ecosystem: airdrop.ecosystem,
+        status: airdrop.status
+      },
+      spentUsd: spent.totalUsd,
+      claimedUsd: claimed.totalUsd,
+      netUsd: claimed.totalUsd - spent.totalUsd,
+      roi: calculateRoi(spent.totalUsd, claimed.totalUsd),
+      estimatedValueUsd: airdrop.estimatedValueUsd,
+      expenseCount: spent.count,
+      claimCount: claimed.count,
+      unpricedExpenses: spent.unpriced,
+      unpricedClaims: claimed.unpriced
+    };
+  });
+};
+
+// Add up spend and rewards across a list of ROI rows
+const summarizeRoi = (rows) => {
+  const spentUsd = rows.reduce((sum, row) => sum + row.spentUsd, 0);
+  const claimedUsd = rows.reduce((sum, row) => sum + row.claimedUsd, 0);
+
+  return {
+    spentUsd,
+    claimedUsd,
+    netUsd: claimedUsd - spentUsd,
+    roi: calculateRoi(spentUsd, claimedUsd)
+  };
+};
+
+// GET /api/expenses - Get user's expenses (filter by airdrop, wallet or category)
+router.get('/',
+  protect,
+  query('airdrop').optional().isMongoId().withMessage('Invalid airdrop ID'),
+  query('wallet').optional().isMongoId().withMessage('Invalid wallet ID'),
+  query('category')
+    .optional()
+    .isIn(Expense.CATEGORIES)
+    .withMessage(`Category must be one of: ${Expense.CATEGORIES.join(', ')}`),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { airdrop, wallet, category } = req.query;
+
+      const expenses = await Expense.getByUser(req.user._id, { airdrop, wallet, category });
+      const totalUsd = expenses.reduce((sum, expense) => sum + (expense.usdValue || 0), 0);
+
+      res.json({
+        success: true,
+        data: expenses,
+        count: expenses.length,
+        totalUsd
+      });
+
+    } catch (error) {
+      console.error('Error fetching expenses:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch expenses',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/expenses/roi - Spend vs claimed rewards per airdrop
+router.get('/roi', protect, workspaceScope, async (req, res) => {
+  try {
+    const { airdrop, sortBy = 'net' } = req.query;
+
+    const sortOptions = {
+      net: (a, b) => b.netUsd - a.netUsd,
+      spent: (a, b) => b.spentUsd - a.spentUsd,
+      claimed: (a, b) => b.claimedUsd - a.claimedUsd,
+      // Airdrops without spend have no ROI and go last
+      roi: (a, b) => {
+        if (a.roi === null || b.roi === null) return (a.roi === null) - (b.roi === null);
+        return b.roi - a.roi;
+      }
+    };
+
+    if (!Object.prototype.hasOwnProperty.call(sortOptions, sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${Object.keys(sortOptions).join(', ')}`
+      });
+    }
+
+    let rows = await getAirdropRoi(req);
+
+    if (airdrop) {
+      rows = rows.filter(row => row.airdrop._id.toString() === airdrop);
+    }
+
+    rows.sort(sortOptions[sortBy]);
+
+    res.json({
+      success: true,
+      data: rows,
+      summary: summarizeRoi(rows)
+    });
+
+  } catch (error) {
+    console.error('Error fetching ROI:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ROI',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/expenses/roi/ecosystems - Spend vs claimed rewards per ecosystem
+router.get('/roi/ecosystems', protect, workspaceScope, async (req, res) => {
+  try {
+    const rows = await getAirdropRoi(req);
+
+    const byEcosystem = new Map();
+    rows.forEach(row => {
+      const ecosystem = row.airdrop.ecosystem || 'Other';
+      if (!byEcosystem.has(ecosystem)) {
+        byEcosystem.set(ecosystem, []);
+      }
+      byEcosystem.get(ecosystem).push(row);
+    });
+
+    const ecosystems = [...byEcosystem.entries()]
+      .map(([ecosystem, ecosystemRows]) => ({
+        ecosystem,
+        airdropCount: ecosystemRows.length,
+        ...summarizeRoi(ecosystemRows)
+      }))
+      .sort((a, b) => b.netUsd - a.netUsd);
+
+    res.json({
+      success: true,
+      data: ecosystems,
+      summary: summarizeRoi(rows)
+    });
+
+  } catch (error) {
+    console.error('Error fetching ecosystem ROI:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ecosystem ROI',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/expenses/roi/timeline - Spend vs claimed rewards over time (?interval=day|week|month)
+router.get('/roi/timeline', protect, workspaceScope, async (req, res) => {
+  try {
+    const { interval = 'month' } = req.query;
+    const format = Object.prototype.hasOwnProperty.call(ROI_INTERVALS, interval) ? ROI_INTERVALS[interval] : null;
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${Object.keys(ROI_INTERVALS).join(', ')}`
+      });
+    }
+
+    const { airdropIds, userId } = await getRoiScope(req);
+    const [spend, rewards] = await Promise.all([
+      Expense.sumByPeriod(airdropIds, userId, format),
+      Claim.sumByPeriod(airdropIds, userId, format)
+    ]);
+
+    const periods = new Map();
+    const getPeriod = (key) => {
+      if (!periods.has(key)) {
+        periods.set(key, { period: key, spentUsd: 0, claimedUsd: 0 });
+      }
+      return periods.get(key);
+    };
+
+    spend.forEach(row => { getPeriod(row._id).spentUsd = row.totalUsd; });
+    rewards.forEach(row => { getPeriod(row._id).claimedUsd = row.totalUsd; });
+
+    // Period keys sort chronologically as strings
+    let cumulativeNetUsd = 0;
+    const timeline = [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(period => {
+        const netUsd = period.claimedUsd - period.spentUsd;
+        cumulativeNetUsd += netUsd;
+        return { ...period, netUsd, cumulativeNetUsd };
+      });
+
+    res.json({
+      success: true,
+      data: timeline,
+      interval
+    });
+
+  } catch (error) {
+    console.error('Error fetching ROI timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ROI timeline',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/expenses/:id - Get single expense
+router.get('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid expense ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      })
+        .populate('airdrop', 'name logoUrl')
+        .populate('wallet', 'label address chainType');
+
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          message: 'Expense not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: expense
+      });
+
+    } catch (error) {
+      console.error('Error fetching expense:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch expense',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/expenses - Log a new expense
+router.post('/',
+  protect,
+  expenseValidation,
+  handleValidationErrors,
+  validateReferences,
+  async (req, res) => {
+    try {
+      const expenseData = { user: req.user._id };
+      expenseFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          expenseData[field] = req.body[field];
+        }
+      });
+
+      const expense = new Expense(expenseData);
+      await expense.save();
+
+      await Activity.record({
+        airdrop: expense.airdrop,
+        user: req.user._id,
+        type: 'expense_logged',
+        data: {
+          expense: expense._id,
+          category: expense.category,
+          amount: expense.amount,
+          currency: expense.currency,
+          usdValue: expense.usdValue
+        }
+      });
+
+      await expense.populate([
+        { path: 'airdrop', select: 'name logoUrl' },
+        { path: 'wallet', select: 'label address chainType' }
+      ]);
+
+      res.status(201).json({
+        success: true,
+        data: expense,
+        message: 'Expense logged successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating expense:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to log expense',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/expenses/:id - Update expense
+router.put('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid expense ID'),
+  expenseValidation,
+  handleValidationErrors,
+  validateReferences,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          message: 'Expense not found'
+        });
+      }
+
+      expenseFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          expense[field] = req.body[field];
+        }
+      });
+
+      await expense.save();
+      await expense.populate([
+        { path: 'airdrop', select: 'name logoUrl' },
+        { path: 'wallet', select: 'label address chainType' }
+      ]);
+
+      res.json({
+        success: true,
+        data: expense,
+        message: 'Expense updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating expense:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update expense',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/expenses/:id - Delete expense
+router.delete('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid expense ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const expense = await Expense.findOneAndDelete({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          message: 'Expense not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Expense deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting expense:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete expense',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const Airdrop = require('../models/Airdrop');
+const ReferralClick = require('../models/ReferralClick');
+const { parseUserAgent } = require('../utils/userAgent');
+
+const router = express.Router();
+
+// Host name of the page a visitor came from, or null for direct visits
+const getReferrerHost = (referrer) => {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).hostname || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// GET /r/:code - Log a click on a shared referral code and redirect to the referral link
+router.get('/:code', async (req, res) => {
+  try {
+    const airdrop = await Airdrop.findOne({ referralCode: req.params.code })
+      .select('user referralCode referralLink');
+
+    if (!airdrop || !airdrop.referralLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Referral link not found'
+      });
+    }
+
+    await ReferralClick.record({
+      airdrop: airdrop._id,
+      user: airdrop.user,
+      code: airdrop.referralCode,
+      referrer: getReferrerHost(req.get('Referer')),
+      ...parseUserAgent(req.get('User-Agent'))
+    });
+
+    // Every visit has to reach us to be counted
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, airdrop.referralLink);
+
+  } catch (error) {
+    console.error('Error following referral link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to follow referral link',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
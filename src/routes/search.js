@@ -0,0 +1,134 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Airdrop = require('../models/Airdrop');
+const Task = require('../models/Task');
+const UserTag = require('../models/UserTag');
+const { protect } = require('../middleware/auth');
+const { workspaceScope, scopeFilter } = require('../middleware/workspace');
+const { getSearchTerms, buildSnippets } = require('../utils/highlight');
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['airdrops', 'tasks', 'tags'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Run a ranked $text search over one of the user's (or workspace's) collections
+const textSearch = (Model, filter, q, limit, select) => {
+  return Model.find(
+    { ...filter, $text: { $search: q } },
+    { score: { $meta: 'textScore' } }
+  )
+    .select(select)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+};
+
+// GET /api/search - Ranked full-text search across airdrops, tasks and tags
+// Supports MongoDB text syntax: "exact phrase" and -excluded words. Searches a workspace with X-Workspace-Id.
+router.get('/',
+  protect,
+  workspaceScope,
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  query('types')
+    .optional()
+    .custom(types => types.split(',').every(type => SEARCH_TYPES.includes(type)))
+    .withMessage(`types must be a comma separated list of: ${SEARCH_TYPES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { q, types, limit = 10 } = req.query;
+      const limitNum = parseInt(limit);
+      const selectedTypes = types ? types.split(',') : SEARCH_TYPES;
+      const terms = getSearchTerms(q);
+
+      const [airdrops, tasks, tags] = await Promise.all([
+        selectedTypes.includes('airdrops')
+          ? textSearch(Airdrop, scopeFilter(req), q, limitNum,
+            'name description notes tokenSymbol logoUrl status ecosystem')
+          : [],
+        selectedTypes.includes('tasks')
+          ? textSearch(Task, scopeFilter(req), q, limitNum,
+            'title description notes project completed isDaily airdrop')
+          : [],
+        selectedTypes.includes('tags')
+          ? textSearch(UserTag, scopeFilter(req, 'userId'), q, limitNum, 'name color usageCount')
+          : []
+      ]);
+
+      const results = {
+        airdrops: airdrops.map(airdrop => ({
+          type: 'airdrop',
+          _id: airdrop._id,
+          title: airdrop.name,
+          score: airdrop.score,
+          logoUrl: airdrop.logoUrl,
+          status: airdrop.status,
+          ecosystem: airdrop.ecosystem,
+          tokenSymbol: airdrop.tokenSymbol,
+          snippets: buildSnippets(airdrop, ['name', 'tokenSymbol', 'description', 'notes'], terms)
+        })),
+        tasks: tasks.map(task => ({
+          type: 'task',
+          _id: task._id,
+          title: task.title,
+          score: task.score,
+          project: task.project,
+          airdrop: task.airdrop,
+          completed: task.completed,
+          isDaily: task.isDaily,
+          snippets: buildSnippets(task, ['title', 'description', 'notes'], terms)
+        })),
+        tags: tags.map(tag => ({
+          type: 'tag',
+          _id: tag._id,
+          title: tag.name,
+          score: tag.score,
+          color: tag.color,
+          usageCount: tag.usageCount,
+          snippets: buildSnippets(tag, ['name'], terms)
+        }))
+      };
+
+      res.json({
+        success: true,
+        query: q,
+        data: results,
+        counts: {
+          airdrops: results.airdrops.length,
+          tasks: results.tasks.length,
+          tags: results.tags.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error searching:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
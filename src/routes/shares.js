@@ -0,0 +1,313 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const ShareLink = require('../models/ShareLink');
+const Airdrop = require('../models/Airdrop');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating share links
+const shareValidation = [
+  body()
+    .custom(({ airdrop, tag }) => {
+      if (!airdrop === !tag) {
+        throw new Error('Provide either airdrop or tag');
+      }
+      return true;
+    }),
+  body('airdrop')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid airdrop ID'),
+  body('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be more than 100 characters'),
+  body('include')
+    .optional()
+    .isArray()
+    .withMessage('include must be an array'),
+  body('include.*')
+    .isIn(ShareLink.PRIVATE_FIELDS)
+    .withMessage(`include can only contain: ${ShareLink.PRIVATE_FIELDS.join(', ')}`),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be a date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future')
+];
+
+// Airdrop and task fields every share link shows. Anything else stays private,
+// and notes, referral links and wallets are only added when the owner opts in.
+const SHARED_AIRDROP_FIELDS = [
+  'name', 'description', 'ecosystem', 'type', 'status', 'deadline', 'deadlineStatus', 'deadlineNote',
+  'startDate', 'endDate', 'snapshotDate', 'estimatedValue', 'tokenSymbol', 'officialLink',
+  'logoUrl', 'bannerUrl', 'socialMedia', 'tags'
+];
+const SHARED_TASK_FIELDS = [
+  'title', 'description', 'completed', 'isDaily', 'category', 'difficulty', 'estimatedTime', 'dueDate'
+];
+
+// Collections show at most this many airdrops
+const SHARED_COLLECTION_LIMIT = 200;
+
+const getOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+const getShareUrl = (req, shareLink) => `${getOrigin(req)}/api/shares/public/${shareLink.token}`;
+
+// Helper function to copy the listed fields that are set
+const pickFields = (source, fields) => {
+  const data = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// Shape an airdrop and its tasks for a share link, leaving out everything private
+// the link doesn't include
+const serializeSharedAirdrop = (airdrop, tasks, shareLink, req) => {
+  const include = shareLink.include || [];
+  const source = airdrop.toObject({ virtuals: false });
+
+  const data = {
+    ...pickFields(source, SHARED_AIRDROP_FIELDS),
+    chains: airdrop.chains.map(({ name, chainType, chainId }) => ({ name, chainType, chainId })),
+    tasksCompleted: tasks.filter(task => task.completed).length,
+    totalTasks: tasks.length,
+    tasks: tasks.map(task => ({
+      ...pickFields(task, SHARED_TASK_FIELDS),
+      ...(include.includes('notes') && task.notes ? { notes: task.notes } : {})
+    }))
+  };
+
+  if (include.includes('notes')) {
+    Object.assign(data, pickFields(source, ['notes', 'dailyTaskNote']));
+  }
+
+  // Referral links are shared through the tracked /r/ redirect when there is one
+  if (include.includes('referralLink') && airdrop.referralLink) {
+    data.referralLink = airdrop.referralCode
+      ? `${getOrigin(req)}/r/${airdrop.referralCode}`
+      : airdrop.referralLink;
+  }
+
+  if (include.includes('wallets')) {
+    data.wallets = airdrop.wallets.map(({ label, address, chainType }) => ({ label, address, chainType }));
+  }
+
+  return data;
+};
+
+// GET /api/shares/public/:token - Read-only view of a shared airdrop or collection
+// Public endpoint - the token in the URL is the only access check
+router.get('/public/:token', async (req, res) => {
+  try {
+    const shareLink = await ShareLink.findOne({ token: String(req.params.token) });
+    const ownerActive = shareLink && await User.exists({ _id: shareLink.user, isActive: true });
+
+    if (!shareLink || !ownerActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    if (shareLink.isExpired) {
+      return res.status(410).json({
+        success: false,
+        message: 'This share link has expired'
+      });
+    }
+
+    const query = shareLink.airdrop
+      ? { _id: shareLink.airdrop, user: shareLink.user, workspace: null }
+      : { user: shareLink.user, workspace: null, tags: shareLink.tag };
+
+    const airdropQuery = Airdrop.find(query)
+      .populate('chains', 'name chainType chainId')
+      .sort({ name: 1 })
+      .limit(SHARED_COLLECTION_LIMIT);
+    if (shareLink.include.includes('wallets')) {
+      airdropQuery.populate('wallets', 'label address chainType');
+    }
+    const airdrops = await airdropQuery;
+
+    // A shared airdrop that was deleted is no longer available
+    if (shareLink.airdrop && airdrops.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const tasks = await Task.find({
+      airdrop: { $in: airdrops.map(airdrop => airdrop._id) },
+      user: shareLink.user
+    }).sort({ createdAt: 1 });
+
+    const views = airdrops.map(airdrop => serializeSharedAirdrop(
+      airdrop,
+      tasks.filter(task => task.airdrop.equals(airdrop._id)),
+      shareLink,
+      req
+    ));
+
+    await shareLink.recordView();
+
+    res.set({
+      'Cache-Control': 'private, no-cache',
+      'X-Robots-Tag': 'noindex'
+    });
+    res.json({
+      success: true,
+      data: {
+        title: shareLink.title || (shareLink.airdrop ? views[0].name : `#${shareLink.tag}`),
+        scope: shareLink.scope,
+        tag: shareLink.tag || undefined,
+        sharedAt: shareLink.createdAt,
+        expiresAt: shareLink.expiresAt,
+        ...(shareLink.airdrop ? { airdrop: views[0] } : { airdrops: views })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching shared view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shared view',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/shares - Get user's share links
+router.get('/', protect, async (req, res) => {
+  try {
+    const shareLinks = await ShareLink.find({ user: req.user._id })
+      .populate('airdrop', 'name logoUrl')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: shareLinks.map(shareLink => ({ ...shareLink.toJSON(), url: getShareUrl(req, shareLink) })),
+      count: shareLinks.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch share links',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/shares - Share an airdrop (`airdrop`) or every airdrop with a tag (`tag`)
+// Private fields are opted in with `include: ['notes', 'referralLink', 'wallets']`
+router.post('/',
+  protect,
+  shareValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { airdrop: airdropId, tag, title, include = [], expiresAt } = req.body;
+
+      if (airdropId) {
+        const airdrop = await Airdrop.exists({ _id: airdropId, user: req.user._id, workspace: null });
+        if (!airdrop) {
+          return res.status(404).json({
+            success: false,
+            message: 'Airdrop not found'
+          });
+        }
+      }
+
+      const shareLink = new ShareLink({
+        user: req.user._id,
+        airdrop: airdropId || null,
+        tag: tag || null,
+        title,
+        include: [...new Set(include)],
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+      const savedShareLink = await shareLink.save();
+
+      res.status(201).json({
+        success: true,
+        data: { ...savedShareLink.toJSON(), url: getShareUrl(req, savedShareLink) },
+        message: 'Share link created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to create share link',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/shares/:id - Revoke a share link
+router.delete('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid share link ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const shareLink = await ShareLink.findOneAndDelete({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!shareLink) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share link not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Share link revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke share link',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
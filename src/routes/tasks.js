@@ -2,7 +2,14 @@ const express = require('express');
 const router = express.Router();
 const Task = require('../models/Task');
 const Airdrop = require('../models/Airdrop');
+const Activity = require('../models/Activity');
+const Attachment = require('../models/Attachment');
 const { protect } = require('../middleware/auth');
+const { workspaceScope, requireWorkspaceRole, scopeFilter } = require('../middleware/workspace');
+const { rejectOperatorKeys } = require('../middleware/body');
+const { EXPORT_FORMATS, streamExport } = require('../utils/export');
+const { getTrashRetentionDays, getPurgeDate } = require('../utils/trash');
+const { parseSort, sortSpec, parseListParams, pageResults } = require('../utils/pagination');
 const { body, validationResult } = require('express-validator');
 
 // Validation middleware
@@ -63,61 +70,164 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// GET /api/tasks - Get all tasks for the authenticated user
-router.get('/', protect, async (req, res) => {
-  try {
-    const { 
-      completed, 
-      isDaily, 
-      project, 
-      category,
-      page = 1, 
-      limit = 50,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    const options = {};
-    if (completed !== undefined) options.completed = completed === 'true';
-    if (isDaily !== undefined) options.isDaily = isDaily === 'true';
-    if (project) options.project = project;
-    if (category) options.category = category;
-
-    const tasks = await Task.getByUser(req.user.id, options);
-    
-    // Apply sorting
-    const sortDirection = sortOrder === 'asc' ? 1 : -1;
-    const sortObj = {};
-    sortObj[sortBy] = sortDirection;
-    
-    const sortedTasks = await Task.find({ user: req.user.id, ...options })
-      .populate('airdrop', 'name logoUrl')
-      .sort(sortObj)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+// Fields clients can write on a task. Creator, workspace and trash fields are managed by the API.
+const TASK_WRITABLE_FIELDS = [
+  'title', 'description', 'project', 'airdrop', 'completed', 'completedAt', 'isDaily', 'priority',
+  'dueDate', 'notes', 'tags', 'category', 'estimatedTime', 'difficulty', 'reward'
+];
+
+// Helper function to copy the writable task fields sent in a request
+const pickTaskFields = (source) => {
+  const fields = {};
+  TASK_WRITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  });
+  return fields;
+};
+
+// Helper function to build a timeline event for a task linked to an airdrop
+const taskEvent = (task, type, userId) => {
+  if (!task.airdrop) return null;
+  return {
+    airdrop: task.airdrop._id || task.airdrop,
+    user: userId,
+    type,
+    task: task._id,
+    data: { title: task.title }
+  };
+};
+
+// Helper function to build the task filters shared by the list and export endpoints
+const buildTaskFilters = (params) => {
+  const { completed, isDaily, project, category } = params;
 
-    const total = await Task.countDocuments({ user: req.user.id, ...options });
+  const options = {};
+  if (completed !== undefined) options.completed = completed === 'true';
+  if (isDaily !== undefined) options.isDaily = isDaily === 'true';
+  if (project) options.project = project;
+  if (category) options.category = category;
+
+  return options;
+};
+
+// Sort fields of the list and export endpoints, each backed by { user, field, _id } and { workspace, field, _id } indexes
+const TASK_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  dueDate: 'dueDate',
+  title: 'title'
+};
+
+// Columns of the CSV task export
+const TASK_EXPORT_COLUMNS = [
+  'id', 'title', 'description', 'project', 'airdropId', 'airdropName', 'completed', 'isDaily',
+  'priority', 'category', 'difficulty', 'estimatedTime', 'dueDate', 'completedAt', 'tags',
+  'reward', 'notes', 'createdAt', 'updatedAt'
+];
+
+// Helper function to flatten an exported task into a CSV row
+const flattenTaskExport = (task) => ({
+  ...task.toObject(),
+  id: task._id.toString(),
+  airdropId: task.airdrop ? task.airdrop._id.toString() : '',
+  airdropName: task.airdrop ? task.airdrop.name : ''
+});
+
+// Helper function to shape an exported task for the JSON export
+const serializeTaskExport = (task) => {
+  const { _id, __v, user, workspace, ...fields } = task.toObject({ virtuals: false });
+  return { id: _id, ...fields };
+};
+
+// GET /api/tasks - Get all tasks of the authenticated user (or of the workspace given
+// with X-Workspace-Id), with cursor pagination
+router.get('/', protect, workspaceScope, async (req, res) => {
+  try {
+    const listParams = parseListParams(req.query, TASK_SORT_FIELDS, {
+      defaultSortBy: 'createdAt',
+      defaultLimit: 50
+    });
+    const { sort, limit, skip, page } = listParams;
+    const query = { ...scopeFilter(req), ...buildTaskFilters(req.query) };
+
+    const [results, total] = await Promise.all([
+      Task.find(listParams.filter ? { $and: [query, listParams.filter] } : query)
+        .populate('airdrop', 'name logoUrl')
+        .sort(sortSpec(sort))
+        .skip(skip)
+        .limit(limit + 1),
+      Task.countDocuments(query)
+    ]);
+    const { items: tasks, nextCursor } = pageResults(results, listParams);
 
     res.json({
-      tasks: sortedTasks,
+      tasks,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
         totalTasks: total,
-        hasNext: page * limit < total,
-        hasPrev: page > 1
+        limit,
+        hasNext: nextCursor !== null,
+        nextCursor,
+        // Page numbers are reported unless the client pages with a cursor
+        ...(page && {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          hasPrev: page > 1
+        })
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Get tasks error:', error);
     res.status(500).json({ error: 'Failed to fetch tasks' });
   }
 });
 
+// GET /api/tasks/export - Download tasks as CSV or JSON
+// Accepts the same filters and sorting as GET /api/tasks, without pagination
+router.get('/export', protect, workspaceScope, async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const sort = parseSort(req.query, TASK_SORT_FIELDS, 'createdAt');
+
+    const cursor = Task.find({ ...scopeFilter(req), ...buildTaskFilters(req.query) })
+      .populate('airdrop', 'name')
+      .sort(sortSpec(sort))
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      filename: 'tasks',
+      cursor,
+      columns: TASK_EXPORT_COLUMNS,
+      flatten: flattenTaskExport,
+      serialize: serializeTaskExport
+    });
+  } catch (error) {
+    console.error('Export tasks error:', error);
+    // The download may already have started - abort it, so the client doesn't keep a truncated file
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to export tasks' });
+  }
+});
+
 // GET /api/tasks/today - Get today's tasks
-router.get('/today', protect, async (req, res) => {
+router.get('/today', protect, workspaceScope, async (req, res) => {
   try {
-    const tasks = await Task.getTodaysTasks(req.user.id);
+    const tasks = await Task.getTodaysTasks(scopeFilter(req));
     
     // Separate daily and other tasks
     const dailyTasks = tasks.filter(task => task.isDaily);
@@ -146,9 +256,9 @@ router.get('/today', protect, async (req, res) => {
 });
 
 // GET /api/tasks/daily - Get daily tasks
-router.get('/daily', protect, async (req, res) => {
+router.get('/daily', protect, workspaceScope, async (req, res) => {
   try {
-    const tasks = await Task.getDailyTasks(req.user.id);
+    const tasks = await Task.getDailyTasks(scopeFilter(req));
     res.json({ tasks });
   } catch (error) {
     console.error('Get daily tasks error:', error);
@@ -157,17 +267,17 @@ router.get('/daily', protect, async (req, res) => {
 });
 
 // GET /api/tasks/stats - Get task statistics
-router.get('/stats', protect, async (req, res) => {
+router.get('/stats', protect, workspaceScope, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const scope = scopeFilter(req);
     
     // Get various counts
-    const totalTasks = await Task.countDocuments({ user: userId });
-    const completedTasks = await Task.countDocuments({ user: userId, completed: true });
-    const pendingTasks = await Task.countDocuments({ user: userId, completed: false });
-    const dailyTasks = await Task.countDocuments({ user: userId, isDaily: true });
+    const totalTasks = await Task.countDocuments(scope);
+    const completedTasks = await Task.countDocuments({ ...scope, completed: true });
+    const pendingTasks = await Task.countDocuments({ ...scope, completed: false });
+    const dailyTasks = await Task.countDocuments({ ...scope, isDaily: true });
     const todayCompleted = await Task.countDocuments({ 
-      user: userId, 
+      ...scope, 
       completed: true,
       completedAt: {
         $gte: new Date(new Date().setHours(0, 0, 0, 0))
@@ -176,13 +286,13 @@ router.get('/stats', protect, async (req, res) => {
 
     // Get tasks by category
     const tasksByCategory = await Task.aggregate([
-      { $match: { user: userId } },
+      { $match: { ...scope } },
       { $group: { _id: '$category', count: { $sum: 1 } } }
     ]);
 
     // Get tasks by project
     const tasksByProject = await Task.aggregate([
-      { $match: { user: userId } },
+      { $match: { ...scope } },
       { $group: { _id: '$project', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 }
@@ -206,19 +316,47 @@ router.get('/stats', protect, async (req, res) => {
   }
 });
 
+// GET /api/tasks/trash - Get deleted tasks that can still be restored
+router.get('/trash', protect, workspaceScope, async (req, res) => {
+  try {
+    const tasks = await Task.find({
+      ...scopeFilter(req),
+      deletedAt: { $ne: null }
+    })
+      .populate({ path: 'airdrop', select: 'name logoUrl deletedAt', options: { withDeleted: true } })
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      tasks: tasks.map(task => ({
+        ...task.toJSON(),
+        purgeAt: getPurgeDate(task.deletedAt)
+      })),
+      retentionDays: getTrashRetentionDays()
+    });
+  } catch (error) {
+    console.error('Get task trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted tasks' });
+  }
+});
+
 // GET /api/tasks/:id - Get a specific task
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, workspaceScope, async (req, res) => {
   try {
     const task = await Task.findOne({ 
       _id: req.params.id, 
-      user: req.user.id 
+      ...scopeFilter(req)
     }).populate('airdrop', 'name logoUrl officialLink');
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    res.json({ task });
+    const attachments = await Attachment.find({
+      task: task._id,
+      ...scopeFilter(req)
+    }).sort({ createdAt: -1 });
+
+    res.json({ task, attachments });
   } catch (error) {
     console.error('Get task error:', error);
     res.status(500).json({ error: 'Failed to fetch task' });
@@ -226,18 +364,19 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // POST /api/tasks - Create a new task
-router.post('/', protect, validateTask, handleValidationErrors, async (req, res) => {
+router.post('/', protect, workspaceScope, requireWorkspaceRole('editor'), validateTask, handleValidationErrors, async (req, res) => {
   try {
     const taskData = {
-      ...req.body,
+      ...pickTaskFields(req.body),
+      ...scopeFilter(req),
       user: req.user.id
     };
 
-    // If airdrop ID is provided, validate it exists and belongs to user
+    // If airdrop ID is provided, validate it exists in the same journal or workspace
     if (req.body.airdrop) {
       const airdrop = await Airdrop.findOne({ 
         _id: req.body.airdrop, 
-        user: req.user.id 
+        ...scopeFilter(req)
       });
       
       if (!airdrop) {
@@ -252,6 +391,8 @@ router.post('/', protect, validateTask, handleValidationErrors, async (req, res)
 
     const task = new Task(taskData);
     await task.save();
+
+    await Activity.record(taskEvent(task, 'task_created', req.user.id));
     
     // Populate the airdrop reference before sending response
     await task.populate('airdrop', 'name logoUrl');
@@ -267,11 +408,11 @@ router.post('/', protect, validateTask, handleValidationErrors, async (req, res)
 });
 
 // PUT /api/tasks/:id - Update a task
-router.put('/:id', protect, validateTask, handleValidationErrors, async (req, res) => {
+router.put('/:id', protect, workspaceScope, requireWorkspaceRole('editor'), rejectOperatorKeys, validateTask, handleValidationErrors, async (req, res) => {
   try {
     const task = await Task.findOne({ 
       _id: req.params.id, 
-      user: req.user.id 
+      ...scopeFilter(req)
     });
 
     if (!task) {
@@ -282,7 +423,7 @@ router.put('/:id', protect, validateTask, handleValidationErrors, async (req, re
     if (req.body.airdrop && req.body.airdrop !== task.airdrop?.toString()) {
       const airdrop = await Airdrop.findOne({ 
         _id: req.body.airdrop, 
-        user: req.user.id 
+        ...scopeFilter(req)
       });
       
       if (!airdrop) {
@@ -290,14 +431,16 @@ router.put('/:id', protect, validateTask, handleValidationErrors, async (req, re
       }
     }
 
-    // Update task fields
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
-        task[key] = req.body[key];
-      }
-    });
+    const wasCompleted = task.completed;
+
+    // Update the writable task fields - creator, workspace and trash state can't be changed
+    task.set(pickTaskFields(req.body));
 
     await task.save();
+
+    if (task.completed !== wasCompleted) {
+      await Activity.record(taskEvent(task, task.completed ? 'task_completed' : 'task_reopened', req.user.id));
+    }
     await task.populate('airdrop', 'name logoUrl');
 
     res.json({ 
@@ -311,11 +454,11 @@ router.put('/:id', protect, validateTask, handleValidationErrors, async (req, re
 });
 
 // PATCH /api/tasks/:id/toggle - Toggle task completion status
-router.patch('/:id/toggle', protect, async (req, res) => {
+router.patch('/:id/toggle', protect, workspaceScope, requireWorkspaceRole('editor'), async (req, res) => {
   try {
     const task = await Task.findOne({ 
       _id: req.params.id, 
-      user: req.user.id 
+      ...scopeFilter(req)
     });
 
     if (!task) {
@@ -328,6 +471,8 @@ router.patch('/:id/toggle', protect, async (req, res) => {
       await task.markCompleted();
     }
 
+    await Activity.record(taskEvent(task, task.completed ? 'task_completed' : 'task_reopened', req.user.id));
+
     await task.populate('airdrop', 'name logoUrl');
 
     res.json({ 
@@ -340,27 +485,69 @@ router.patch('/:id/toggle', protect, async (req, res) => {
   }
 });
 
-// DELETE /api/tasks/:id - Delete a task
-router.delete('/:id', protect, async (req, res) => {
+// DELETE /api/tasks/:id - Move a task to the trash
+router.delete('/:id', protect, workspaceScope, requireWorkspaceRole('editor'), async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({ 
-      _id: req.params.id, 
-      user: req.user.id 
-    });
+    const task = await Task.findOneAndUpdate(
+      { 
+        _id: req.params.id, 
+        ...scopeFilter(req)
+      },
+      { deletedAt: new Date(), deletedWithAirdrop: false },
+      { new: true }
+    );
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    res.json({ message: 'Task deleted successfully' });
+    await Activity.record(taskEvent(task, 'task_deleted', req.user.id));
+
+    res.json({
+      message: `Task moved to trash, it will be deleted permanently after ${getTrashRetentionDays()} days`,
+      purgeAt: getPurgeDate(task.deletedAt)
+    });
   } catch (error) {
     console.error('Delete task error:', error);
     res.status(500).json({ error: 'Failed to delete task' });
   }
 });
 
+// POST /api/tasks/:id/restore - Restore a task from the trash
+router.post('/:id/restore', protect, workspaceScope, requireWorkspaceRole('editor'), async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      ...scopeFilter(req),
+      deletedAt: { $ne: null }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found in trash' });
+    }
+
+    // Tasks of a trashed airdrop come back with the airdrop
+    if (task.airdrop && !(await Airdrop.exists({ _id: task.airdrop }))) {
+      return res.status(409).json({ error: 'Restore the airdrop this task belongs to first' });
+    }
+
+    task.deletedAt = null;
+    task.deletedWithAirdrop = false;
+    await task.save();
+
+    await Activity.record(taskEvent(task, 'task_restored', req.user.id));
+
+    await task.populate('airdrop', 'name logoUrl');
+
+    res.json({ message: 'Task restored from trash', task });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
 // POST /api/tasks/bulk - Create multiple tasks
-router.post('/bulk', protect, async (req, res) => {
+router.post('/bulk', protect, workspaceScope, requireWorkspaceRole('editor'), rejectOperatorKeys, async (req, res) => {
   try {
     const { tasks } = req.body;
     
@@ -368,9 +555,10 @@ router.post('/bulk', protect, async (req, res) => {
       return res.status(400).json({ error: 'Tasks array is required' });
     }
 
-    // Validate each task and add user ID
+    // Keep the writable fields of each task and add user and workspace IDs
     const tasksToCreate = tasks.map(task => ({
-      ...task,
+      ...pickTaskFields(task || {}),
+      ...scopeFilter(req),
       user: req.user.id
     }));
 
@@ -379,7 +567,7 @@ router.post('/bulk', protect, async (req, res) => {
       if (taskData.airdrop) {
         const airdrop = await Airdrop.findOne({ 
           _id: taskData.airdrop, 
-          user: req.user.id 
+          ...scopeFilter(req)
         });
         
         if (!airdrop) {
@@ -391,6 +579,8 @@ router.post('/bulk', protect, async (req, res) => {
     }
 
     const createdTasks = await Task.insertMany(tasksToCreate);
+
+    await Activity.record(createdTasks.map(task => taskEvent(task, 'task_created', req.user.id)));
     
     // Populate airdrop references
     const populatedTasks = await Task.find({ 
@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const UserTag = require('../models/UserTag');
+const Airdrop = require('../models/Airdrop');
+const Activity = require('../models/Activity');
 const { protect } = require('../middleware/auth');
+const { workspaceScope, requireWorkspaceRole, scopeFilter } = require('../middleware/workspace');
+const escapeRegex = require('../utils/escapeRegex');
+const { sortSpec, parseListParams, pageResults } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -18,6 +23,25 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Helper function to record a renamed or deleted tag on the timeline of every airdrop in the
+// request's scope that carries it. The airdrops' own tags are left as they are.
+const recordTagEvents = async (req, oldName, newName) => {
+  const airdrops = await Airdrop.find({ ...scopeFilter(req), tags: oldName }).select('_id');
+
+  await Activity.record(airdrops.map(airdrop => ({
+    airdrop: airdrop._id,
+    user: req.user._id,
+    type: newName ? 'tag_renamed' : 'tag_removed',
+    data: newName ? { from: oldName, to: newName } : { tag: oldName }
+  })));
+};
+
+// Sort fields of the tag list, each backed by { userId, field, _id } and { workspace, field, _id } indexes
+const TAG_SORT_FIELDS = {
+  usageCount: 'usageCount',
+  name: 'name'
+};
+
 // Validation rules for creating/updating tags
 const tagValidation = [
   body('name')
@@ -32,48 +56,52 @@ const tagValidation = [
     .withMessage('Color must be a valid hex color code (e.g., #8B5CF6)')
 ];
 
-// GET /api/tags - Get user's tags
-router.get('/', protect, async (req, res) => {
+// GET /api/tags - Get user's tags (or the workspace's, with X-Workspace-Id), with cursor pagination
+router.get('/', protect, workspaceScope, async (req, res) => {
   try {
-    const {
-      search,
-      sortBy = 'usageCount',
-      sortOrder = 'desc',
-      limit = 100
-    } = req.query;
-
-    const options = {
-      search,
-      sortBy: sortBy === 'usageCount' ? { usageCount: sortOrder === 'desc' ? -1 : 1 } : { name: sortOrder === 'desc' ? -1 : 1 },
-      limit: parseInt(limit)
-    };
+    const listParams = parseListParams(req.query, TAG_SORT_FIELDS, {
+      defaultSortBy: 'usageCount',
+      defaultLimit: 100
+    });
 
-    const tags = await UserTag.getUserTags(req.user._id, options);
+    const results = await UserTag.getUserTags(scopeFilter(req, 'userId'), {
+      search: req.query.search,
+      sortBy: sortSpec(listParams.sort),
+      after: listParams.filter,
+      skip: listParams.skip,
+      limit: listParams.limit + 1
+    });
+    const { items: tags, nextCursor } = pageResults(results, listParams);
 
     res.json({
       success: true,
       data: tags,
-      count: tags.length
+      count: tags.length,
+      pagination: {
+        limit: listParams.limit,
+        hasNextPage: nextCursor !== null,
+        nextCursor
+      }
     });
 
   } catch (error) {
     console.error('Error fetching user tags:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch tags',
+      message: error.statusCode ? error.message : 'Failed to fetch tags',
       error: error.message
     });
   }
 });
 
 // GET /api/tags/suggestions - Get tag suggestions based on search
-router.get('/suggestions', protect, async (req, res) => {
+router.get('/suggestions', protect, workspaceScope, async (req, res) => {
   try {
     const { q = '', limit = 10 } = req.query;
 
     const tags = await UserTag.find({
-      userId: req.user._id,
-      name: new RegExp(q, 'i')
+      ...scopeFilter(req, 'userId'),
+      name: new RegExp(escapeRegex(q), 'i')
     })
     .sort({ usageCount: -1, name: 1 })
     .limit(parseInt(limit))
@@ -97,6 +125,8 @@ router.get('/suggestions', protect, async (req, res) => {
 // POST /api/tags - Create new tag
 router.post('/',
   protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
   tagValidation,
   handleValidationErrors,
   async (req, res) => {
@@ -106,7 +136,7 @@ router.post('/',
       const tag = new UserTag({
         name: name.toLowerCase().trim(),
         color,
-        userId: req.user._id
+        ...scopeFilter(req, 'userId')
       });
       
       const savedTag = await tag.save();
@@ -139,6 +169,8 @@ router.post('/',
 // PUT /api/tags/:id - Update tag
 router.put('/:id',
   protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
   param('id').isMongoId().withMessage('Invalid tag ID'),
   tagValidation,
   handleValidationErrors,
@@ -148,7 +180,7 @@ router.put('/:id',
       
       const tag = await UserTag.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        ...scopeFilter(req, 'userId')
       });
 
       if (!tag) {
@@ -166,11 +198,21 @@ router.put('/:id',
         });
       }
 
+      const previousName = tag.name;
       if (name) tag.name = name.toLowerCase().trim();
       if (color) tag.color = color;
 
       const updatedTag = await tag.save();
 
+      // Note the new name on the timelines of the airdrops using the tag
+      if (updatedTag.name !== previousName) {
+        try {
+          await recordTagEvents(req, previousName, updatedTag.name);
+        } catch (activityError) {
+          console.error('Error recording tag rename:', activityError);
+        }
+      }
+
       res.json({
         success: true,
         data: updatedTag,
@@ -199,13 +241,15 @@ router.put('/:id',
 // DELETE /api/tags/:id - Delete tag
 router.delete('/:id',
   protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
   param('id').isMongoId().withMessage('Invalid tag ID'),
   handleValidationErrors,
   async (req, res) => {
     try {
       const tag = await UserTag.findOne({
         _id: req.params.id,
-        userId: req.user._id
+        ...scopeFilter(req, 'userId')
       });
 
       if (!tag) {
@@ -225,6 +269,13 @@ router.delete('/:id',
 
       await UserTag.deleteOne({ _id: req.params.id });
 
+      // Note the deletion on the timelines of the airdrops using the tag
+      try {
+        await recordTagEvents(req, tag.name, null);
+      } catch (activityError) {
+        console.error('Error recording tag deletion:', activityError);
+      }
+
       res.json({
         success: true,
         message: 'Tag deleted successfully'
@@ -244,6 +295,8 @@ router.delete('/:id',
 // POST /api/tags/bulk-create - Create multiple tags
 router.post('/bulk-create',
   protect,
+  workspaceScope,
+  requireWorkspaceRole('editor'),
   body('tags').isArray().withMessage('Tags must be an array'),
   body('tags.*.name').trim().isLength({ min: 1, max: 30 }).withMessage('Each tag name must be between 1 and 30 characters'),
   body('tags.*.color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color code'),
@@ -255,7 +308,7 @@ router.post('/bulk-create',
       const tagsToCreate = tags.map(tag => ({
         name: tag.name.toLowerCase().trim(),
         color: tag.color || '#8B5CF6',
-        userId: req.user._id
+        ...scopeFilter(req, 'userId')
       }));
 
       const createdTags = [];
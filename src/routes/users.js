@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { protect, restrictTo } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+const { FOCUS_FACTORS, getFocusWeights } = require('../utils/focusScore');
+const { sortSpec, parseListParams, pageResults } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -43,9 +46,25 @@ const validateProfileUpdate = [
   body('preferences.notifications.airdropReminders')
     .optional()
     .isBoolean()
-    .withMessage('Airdrop reminder preference must be a boolean')
+    .withMessage('Airdrop reminder preference must be a boolean'),
+  body('preferences.focusWeights')
+    .optional()
+    .isObject()
+    .withMessage(`Focus weights must be an object with: ${FOCUS_FACTORS.join(', ')}`)
+    .custom(weights => Object.keys(weights).every(factor => FOCUS_FACTORS.includes(factor)))
+    .withMessage(`Focus weights can only be set for: ${FOCUS_FACTORS.join(', ')}`),
+  body('preferences.focusWeights.*')
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Focus weights must be numbers between 0 and 10')
+    .toFloat()
 ];
 
+// Sort fields of the admin user list, each backed by an { isActive, field, _id } index
+const USER_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  lastLoginAt: 'lastLoginAt'
+};
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -106,8 +125,14 @@ router.put('/profile', protect, validateProfileUpdate, handleValidationErrors, a
     Object.keys(req.body).forEach(key => {
       if (allowedFields.includes(key)) {
         if (key === 'preferences') {
-          // Merge preferences instead of replacing
+          // Merge preferences instead of replacing, focus weights included
           updates.preferences = { ...req.user.preferences, ...req.body.preferences };
+          if (req.body.preferences.focusWeights) {
+            updates.preferences.focusWeights = {
+              ...getFocusWeights(req.user),
+              ...req.body.preferences.focusWeights
+            };
+          }
         } else {
           updates[key] = req.body[key];
         }
@@ -247,15 +272,17 @@ router.delete('/account', protect, [
 // @access  Private/Admin
 router.get('/', protect, restrictTo('admin'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const listParams = parseListParams(req.query, USER_SORT_FIELDS, {
+      defaultSortBy: 'createdAt',
+      defaultLimit: 10
+    });
+    const { sort, limit, skip, page } = listParams;
     
     const filter = { isActive: true };
     
     // Add search functionality
     if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, 'i');
+      const searchRegex = new RegExp(escapeRegex(req.query.search), 'i');
       filter.$or = [
         { firstName: searchRegex },
         { lastName: searchRegex },
@@ -264,28 +291,41 @@ router.get('/', protect, restrictTo('admin'), async (req, res) => {
       ];
     }
 
-    const users = await User.find(filter)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await User.countDocuments(filter);
+    const [results, total] = await Promise.all([
+      User.find(listParams.filter ? { $and: [filter, listParams.filter] } : filter)
+        .select('-password')
+        .sort(sortSpec(sort))
+        .skip(skip)
+        .limit(limit + 1),
+      User.countDocuments(filter)
+    ]);
+    const { items: users, nextCursor } = pageResults(results, listParams);
 
     res.status(200).json({
       status: 'success',
       results: users.length,
       pagination: {
-        page,
         limit,
         total,
-        pages: Math.ceil(total / limit)
+        hasNext: nextCursor !== null,
+        nextCursor,
+        // Page numbers are reported unless the client pages with a cursor
+        ...(page && {
+          page,
+          pages: Math.ceil(total / limit)
+        })
       },
       data: {
         users
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
     console.error('Error fetching users:', error);
     res.status(500).json({
       status: 'error',
@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Wallet = require('../models/Wallet');
+const Airdrop = require('../models/Airdrop');
+const Claim = require('../models/Claim');
+const Expense = require('../models/Expense');
+const { protect } = require('../middleware/auth');
+const { CHAIN_TYPES } = require('../utils/addressValidation');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating wallets
+const walletValidation = [
+  body('label')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Label must be between 1 and 50 characters'),
+  body('address')
+    .trim()
+    .notEmpty()
+    .withMessage('Wallet address is required'),
+  body('chainType')
+    .optional()
+    .isIn(CHAIN_TYPES)
+    .withMessage(`Chain type must be one of: ${CHAIN_TYPES.join(', ')}`),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// GET /api/wallets - Get user's wallets
+router.get('/', protect, async (req, res) => {
+  try {
+    const { chainType, isActive } = req.query;
+
+    const options = {};
+    if (chainType) options.chainType = chainType;
+    if (isActive !== undefined) options.isActive = isActive === 'true';
+
+    const wallets = await Wallet.getByUser(req.user._id, options);
+
+    res.json({
+      success: true,
+      data: wallets,
+      count: wallets.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching wallets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallets',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/wallets/:id - Get single wallet with the airdrops it is farming
+router.get('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid wallet ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const wallet = await Wallet.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      const airdrops = await Airdrop.find({
+        user: req.user._id,
+        wallets: wallet._id
+      })
+        .select('name logoUrl status ecosystem')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          ...wallet.toJSON(),
+          airdrops
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching wallet:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch wallet',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/wallets - Register a new wallet
+router.post('/',
+  protect,
+  walletValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { label, address, chainType, notes, isActive } = req.body;
+
+      const wallet = new Wallet({
+        label,
+        address,
+        chainType,
+        notes,
+        isActive,
+        user: req.user._id
+      });
+
+      const savedWallet = await wallet.save();
+
+      res.status(201).json({
+        success: true,
+        data: savedWallet,
+        message: 'Wallet created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating wallet:', error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This wallet address is already registered'
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to create wallet',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/wallets/:id - Update wallet
+router.put('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid wallet ID'),
+  walletValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const wallet = await Wallet.findOne({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      const allowedFields = ['label', 'address', 'chainType', 'notes', 'isActive'];
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          wallet[field] = req.body[field];
+        }
+      });
+
+      const updatedWallet = await wallet.save();
+
+      res.json({
+        success: true,
+        data: updatedWallet,
+        message: 'Wallet updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating wallet:', error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This wallet address is already registered'
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update wallet',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/wallets/:id - Delete wallet and detach it from all airdrops
+router.delete('/:id',
+  protect,
+  param('id').isMongoId().withMessage('Invalid wallet ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const wallet = await Wallet.findOneAndDelete({
+        _id: req.params.id,
+        user: req.user._id
+      });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      await Airdrop.updateMany(
+        { user: req.user._id, wallets: wallet._id },
+        { $pull: { wallets: wallet._id } }
+      );
+      // Drop the wallet's eligibility progress as well
+      await Airdrop.updateMany(
+        { user: req.user._id, 'eligibility.wallets.wallet': wallet._id },
+        { $pull: { 'eligibility.$[].wallets': { wallet: wallet._id } } }
+      );
+
+      // Keep claims and expenses made from this wallet, just without the wallet link
+      await Claim.updateMany(
+        { user: req.user._id, wallet: wallet._id },
+        { $unset: { wallet: 1 } }
+      );
+      await Expense.updateMany(
+        { user: req.user._id, wallet: wallet._id },
+        { $unset: { wallet: 1 } }
+      );
+
+      res.json({
+        success: true,
+        message: 'Wallet deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting wallet:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete wallet',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,383 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const Airdrop = require('../models/Airdrop');
+const Task = require('../models/Task');
+const UserTag = require('../models/UserTag');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { requireWorkspaceRole } = require('../middleware/workspace');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'firstName lastName username email';
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating workspaces
+const workspaceValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot be more than 300 characters')
+];
+
+const roleValidation = body('role')
+  .isIn(Workspace.ROLES)
+  .withMessage(`Role must be one of: ${Workspace.ROLES.join(', ')}`);
+
+// Load the workspace in the URL for its members, with the user's role, so
+// requireWorkspaceRole() can check it like for workspace scoped requests
+const loadWorkspace = [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const workspace = await Workspace.findOne({ _id: req.params.id, 'members.user': req.user._id });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+
+      req.workspace = workspace;
+      req.workspaceRole = workspace.getRole(req.user._id);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+// Helper function to shape a workspace with the user's role in it
+const serializeWorkspace = (workspace, userId) => ({
+  ...workspace.toJSON(),
+  role: workspace.getRole(userId)
+});
+
+// Helper function to respond with the validation message of a rejected member change
+const sendMemberError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(item => item.message).join(', ')
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// GET /api/workspaces - Get the workspaces the user is a member of
+router.get('/', protect, async (req, res) => {
+  try {
+    const workspaces = await Workspace.getForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: workspaces.map(workspace => serializeWorkspace(workspace, req.user._id)),
+      count: workspaces.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch workspaces',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/workspaces - Create a workspace, owned by the user
+router.post('/',
+  protect,
+  workspaceValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const workspace = new Workspace({
+        name: req.body.name,
+        description: req.body.description,
+        members: [{ user: req.user._id, role: 'owner' }],
+        createdBy: req.user._id
+      });
+      const savedWorkspace = await workspace.save();
+
+      res.status(201).json({
+        success: true,
+        data: serializeWorkspace(savedWorkspace, req.user._id),
+        message: 'Workspace created successfully'
+      });
+
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to create workspace',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/workspaces/:id - Get a workspace with its members
+router.get('/:id',
+  protect,
+  loadWorkspace,
+  async (req, res) => {
+    try {
+      await req.workspace.populate('members.user', MEMBER_FIELDS);
+
+      res.json({
+        success: true,
+        data: serializeWorkspace(req.workspace, req.user._id)
+      });
+
+    } catch (error) {
+      console.error('Error fetching workspace:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch workspace',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/workspaces/:id - Rename a workspace or change its description (owners only)
+router.put('/:id',
+  protect,
+  loadWorkspace,
+  requireWorkspaceRole('owner'),
+  workspaceValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      req.workspace.name = req.body.name;
+      if (req.body.description !== undefined) {
+        req.workspace.description = req.body.description;
+      }
+      const workspace = await req.workspace.save();
+
+      res.json({
+        success: true,
+        data: serializeWorkspace(workspace, req.user._id),
+        message: 'Workspace updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Error updating workspace:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update workspace',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/workspaces/:id - Delete a workspace and its tags (owners only)
+// Only empty workspaces can be deleted - airdrops still in the trash are purged as usual
+router.delete('/:id',
+  protect,
+  loadWorkspace,
+  requireWorkspaceRole('owner'),
+  async (req, res) => {
+    try {
+      const [airdrops, tasks] = await Promise.all([
+        Airdrop.countDocuments({ workspace: req.workspace._id }),
+        Task.countDocuments({ workspace: req.workspace._id })
+      ]);
+
+      if (airdrops > 0 || tasks > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `The workspace still has ${airdrops} airdrops and ${tasks} tasks, delete them first`
+        });
+      }
+
+      await UserTag.deleteMany({ workspace: req.workspace._id });
+      await Workspace.deleteOne({ _id: req.workspace._id });
+
+      res.json({
+        success: true,
+        message: 'Workspace deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting workspace:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete workspace',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/workspaces/:id/members - Add a user by email or username (owners only)
+router.post('/:id/members',
+  protect,
+  loadWorkspace,
+  requireWorkspaceRole('owner'),
+  body()
+    .custom(({ email, username }) => {
+      if (!email === !username) {
+        throw new Error('Provide either email or username');
+      }
+      return true;
+    }),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  body('username')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Username cannot be empty'),
+  body('role')
+    .optional()
+    .isIn(Workspace.ROLES)
+    .withMessage(`Role must be one of: ${Workspace.ROLES.join(', ')}`),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { email, username, role = 'viewer' } = req.body;
+
+      const user = await User.findOne({
+        ...(email ? { email: email.toLowerCase() } : { username: String(username) }),
+        isActive: true
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (req.workspace.getMember(user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This user is already a member of the workspace'
+        });
+      }
+
+      req.workspace.members.push({ user: user._id, role });
+      const workspace = await req.workspace.save();
+      await workspace.populate('members.user', MEMBER_FIELDS);
+
+      res.status(201).json({
+        success: true,
+        data: serializeWorkspace(workspace, req.user._id),
+        message: 'Member added successfully'
+      });
+
+    } catch (error) {
+      sendMemberError(res, error, 'Failed to add member');
+    }
+  }
+);
+
+// PATCH /api/workspaces/:id/members/:userId - Change a member's role (owners only)
+router.patch('/:id/members/:userId',
+  protect,
+  loadWorkspace,
+  requireWorkspaceRole('owner'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  roleValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const member = req.workspace.getMember(req.params.userId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      member.role = req.body.role;
+      const workspace = await req.workspace.save();
+      await workspace.populate('members.user', MEMBER_FIELDS);
+
+      res.json({
+        success: true,
+        data: serializeWorkspace(workspace, req.user._id),
+        message: 'Member role updated successfully'
+      });
+
+    } catch (error) {
+      sendMemberError(res, error, 'Failed to update member role');
+    }
+  }
+);
+
+// DELETE /api/workspaces/:id/members/:userId - Remove a member (owners), or leave the workspace (any member)
+// Airdrops and tasks the member created stay in the workspace
+router.delete('/:id/members/:userId',
+  protect,
+  loadWorkspace,
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const isLeaving = req.user._id.equals(req.params.userId);
+
+      if (!isLeaving && req.workspaceRole !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners can remove other members'
+        });
+      }
+
+      const member = req.workspace.getMember(req.params.userId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      req.workspace.members = req.workspace.members.filter(item => item !== member);
+      await req.workspace.save();
+
+      res.json({
+        success: true,
+        message: isLeaving ? 'You left the workspace' : 'Member removed successfully'
+      });
+
+    } catch (error) {
+      sendMemberError(res, error, 'Failed to remove member');
+    }
+  }
+);
+
+module.exports = router;
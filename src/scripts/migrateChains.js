@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Airdrop = require('../models/Airdrop');
+const CatalogAirdrop = require('../models/CatalogAirdrop');
+const Chain = require('../models/Chain');
+
+// Link airdrops and catalog entries from before the chains registry to the
+// global chain named like their ecosystem. 'Multi-chain' ones are left for
+// their owners to pick the chains, as there is no way to tell which.
+const migrateCollection = async (collection, globalChains) => {
+  const bySlug = new Map(globalChains.map(chain => [chain.slug, chain]));
+  const cursor = collection.find({
+    ecosystem: { $nin: [null, '', Chain.MULTI_CHAIN] },
+    $or: [{ chains: { $exists: false } }, { chains: { $size: 0 } }]
+  });
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for await (const doc of cursor) {
+    const chain = bySlug.get(Chain.slugify(doc.ecosystem));
+    if (!chain) {
+      skipped++;
+      continue;
+    }
+
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { chains: [chain._id], ecosystem: chain.name } }
+    );
+    migrated++;
+  }
+
+  return { migrated, skipped };
+};
+
+const run = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not defined');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected successfully');
+
+    const seeded = await Chain.ensureDefaults();
+    console.log(`Added ${seeded} default chains to the registry`);
+
+    const globalChains = await Chain.find({ user: null });
+
+    const airdrops = await migrateCollection(Airdrop.collection, globalChains);
+    console.log(`Linked ${airdrops.migrated} airdrops to their chain (${airdrops.skipped} with an unknown ecosystem)`);
+
+    const entries = await migrateCollection(CatalogAirdrop.collection, globalChains);
+    console.log(`Linked ${entries.migrated} catalog entries to their chain (${entries.skipped} with an unknown ecosystem)`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Chain migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
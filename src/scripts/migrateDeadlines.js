@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Airdrop = require('../models/Airdrop');
+
+// Migrate free-text airdrop deadlines (e.g. 'TBA', '2025-03-01', 'Q3 2025')
+// to real dates. Strings that don't parse become TBA and the original text
+// is kept in deadlineNote so nothing is lost.
+const migrateDeadlines = async () => {
+  const cursor = Airdrop.collection.find({ deadline: { $type: 'string' } });
+
+  let converted = 0;
+  let markedTBA = 0;
+
+  for await (const doc of cursor) {
+    const text = doc.deadline.trim();
+    const parsed = Date.parse(text);
+
+    if (text && text.toUpperCase() !== 'TBA' && !isNaN(parsed)) {
+      await Airdrop.collection.updateOne(
+        { _id: doc._id },
+        { $set: { deadline: new Date(parsed), deadlineStatus: 'Confirmed' } }
+      );
+      converted++;
+    } else {
+      const update = { $set: { deadline: null, deadlineStatus: 'TBA' } };
+      if (text && text.toUpperCase() !== 'TBA' && !doc.deadlineNote) {
+        update.$set.deadlineNote = text.slice(0, 100);
+      }
+      await Airdrop.collection.updateOne({ _id: doc._id }, update);
+      markedTBA++;
+    }
+  }
+
+  // Airdrops created before deadlines existed have no deadlineStatus at all
+  const { modifiedCount: missingStatus } = await Airdrop.collection.updateMany(
+    { deadlineStatus: { $exists: false } },
+    { $set: { deadlineStatus: 'TBA' } }
+  );
+
+  return { converted, markedTBA, missingStatus };
+};
+
+const run = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not defined');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected successfully');
+
+    const result = await migrateDeadlines();
+    console.log(`Converted ${result.converted} deadlines to dates`);
+    console.log(`Marked ${result.markedTBA} unparseable deadlines as TBA`);
+    console.log(`Set TBA on ${result.missingStatus} airdrops without a deadline`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Deadline migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Airdrop = require('../models/Airdrop');
+
+// Normalize priorities stored before they were limited to Low, Medium and High:
+// other casings, numbers from the old 1-5 scale, and anything else becomes Medium
+const migratePriorities = async () => {
+  const cursor = Airdrop.collection.find({ priority: { $nin: Airdrop.PRIORITIES } });
+
+  let migrated = 0;
+  let unrecognized = 0;
+
+  for await (const doc of cursor) {
+    let priority = Airdrop.resolvePriority(doc.priority);
+    if (!priority) {
+      priority = 'Medium';
+      unrecognized++;
+    }
+
+    await Airdrop.collection.updateOne({ _id: doc._id }, { $set: { priority } });
+    migrated++;
+  }
+
+  return { migrated, unrecognized };
+};
+
+const run = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not defined');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected successfully');
+
+    const result = await migratePriorities();
+    console.log(`Migrated ${result.migrated} airdrop priorities (${result.unrecognized} unrecognized, set to Medium)`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Priority migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Airdrop = require('../models/Airdrop');
+
+// Legacy free-text statuses and the lifecycle status they map to
+const LEGACY_STATUS_MAP = {
+  upcoming: 'Watching',
+  active: 'Farming',
+  farming: 'Farming',
+  completed: 'Claimed',
+  claimed: 'Claimed',
+  ended: 'Missed'
+};
+
+// Migrate airdrops with statuses from before the lifecycle existed and
+// give every airdrop an initial status history entry
+const migrateStatuses = async () => {
+  const cursor = Airdrop.collection.find({
+    $or: [
+      { status: { $nin: Airdrop.STATUSES } },
+      { statusHistory: { $exists: false } }
+    ]
+  });
+
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    const legacy = doc.status ? String(doc.status).toLowerCase().trim() : '';
+    const status = Airdrop.resolveStatus(doc.status) || LEGACY_STATUS_MAP[legacy] || 'Farming';
+
+    const update = { $set: { status } };
+    if (!doc.statusHistory || doc.statusHistory.length === 0) {
+      update.$set.statusHistory = [{
+        from: null,
+        to: status,
+        changedAt: doc.createdAt || new Date(),
+        note: status !== doc.status && doc.status ? `Migrated from '${doc.status}'` : undefined
+      }];
+    }
+
+    await Airdrop.collection.updateOne({ _id: doc._id }, update);
+    migrated++;
+  }
+
+  return { migrated };
+};
+
+const run = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not defined');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected successfully');
+
+    const result = await migrateStatuses();
+    console.log(`Migrated ${result.migrated} airdrop statuses`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Status migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
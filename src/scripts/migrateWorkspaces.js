@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const UserTag = require('../models/UserTag');
+const Airdrop = require('../models/Airdrop');
+const Task = require('../models/Task');
+const Attachment = require('../models/Attachment');
+
+const OLD_TAG_INDEX = 'name_1_userId_1';
+
+// Tag names used to be unique per user only. Workspace tags have no user, so the old
+// unique index would allow a tag name in just one workspace - replace it with the
+// { name, userId, workspace } index.
+const migrateTagIndexes = async () => {
+  const indexes = await UserTag.collection.indexes();
+  const dropped = indexes.some(index => index.name === OLD_TAG_INDEX);
+
+  if (dropped) {
+    await UserTag.collection.dropIndex(OLD_TAG_INDEX);
+  }
+  await UserTag.createIndexes();
+
+  return { dropped };
+};
+
+// Files uploaded to workspace airdrops and tasks before attachments followed the workspace
+// were only visible to the uploader - move them into the workspace of their airdrop or task
+const migrateAttachments = async () => {
+  let updated = 0;
+
+  for (const [Model, field] of [[Airdrop, 'airdrop'], [Task, 'task']]) {
+    const documents = await Model.find({ workspace: { $ne: null } })
+      .setOptions({ withDeleted: true })
+      .select('workspace');
+
+    for (const document of documents) {
+      const result = await Attachment.updateMany(
+        { [field]: document._id, workspace: null },
+        { workspace: document.workspace }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  return { updated };
+};
+
+const run = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not defined');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected successfully');
+
+    const result = await migrateTagIndexes();
+    console.log(result.dropped
+      ? `Replaced the ${OLD_TAG_INDEX} tag index with per workspace tag names`
+      : 'Tag indexes are already up to date');
+
+    const { updated } = await migrateAttachments();
+    console.log(`Moved ${updated} attachments into the workspace of their airdrop or task`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Workspace migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
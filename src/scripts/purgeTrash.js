@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Purging cascades into these collections, so their models have to be registered
+require('../models/Claim');
+require('../models/Expense');
+require('../models/Activity');
+require('../models/AirdropVersion');
+require('../models/Attachment');
+require('../models/ReferralClick');
+require('../models/ShareLink');
+const { getTrashRetentionDays, purgeExpiredTrash } = require('../utils/trash');
+
+const run = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not defined');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected successfully');
+
+    const purged = await purgeExpiredTrash();
+    console.log(`Purged ${purged.airdrops} airdrops and ${purged.tasks} tasks deleted more than ${getTrashRetentionDays()} days ago`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Trash purge failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
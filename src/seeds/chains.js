@@ -0,0 +1,118 @@
+// Global chains the registry starts with. Names of the former ecosystem enum are
+// kept as they were, so existing airdrops can be linked by their ecosystem.
+const DEFAULT_CHAINS = [
+  {
+    name: 'Ethereum',
+    chainType: 'EVM',
+    chainId: '1',
+    category: 'DeFi',
+    explorerTxUrl: 'https://etherscan.io/tx/{hash}',
+    explorerAddressUrl: 'https://etherscan.io/address/{address}'
+  },
+  {
+    name: 'Arbitrum',
+    chainType: 'EVM',
+    chainId: '42161',
+    category: 'Infrastructure',
+    explorerTxUrl: 'https://arbiscan.io/tx/{hash}',
+    explorerAddressUrl: 'https://arbiscan.io/address/{address}'
+  },
+  {
+    name: 'Optimism',
+    chainType: 'EVM',
+    chainId: '10',
+    category: 'Infrastructure',
+    explorerTxUrl: 'https://optimistic.etherscan.io/tx/{hash}',
+    explorerAddressUrl: 'https://optimistic.etherscan.io/address/{address}'
+  },
+  {
+    name: 'Base',
+    chainType: 'EVM',
+    chainId: '8453',
+    category: 'Infrastructure',
+    explorerTxUrl: 'https://basescan.org/tx/{hash}',
+    explorerAddressUrl: 'https://basescan.org/address/{address}'
+  },
+  {
+    name: 'zkSync',
+    chainType: 'EVM',
+    chainId: '324',
+    category: 'Infrastructure',
+    explorerTxUrl: 'https://explorer.zksync.io/tx/{hash}',
+    explorerAddressUrl: 'https://explorer.zksync.io/address/{address}'
+  },
+  {
+    name: 'Scroll',
+    chainType: 'EVM',
+    chainId: '534352',
+    category: 'Infrastructure',
+    explorerTxUrl: 'https://scrollscan.com/tx/{hash}',
+    explorerAddressUrl: 'https://scrollscan.com/address/{address}'
+  },
+  {
+    name: 'Linea',
+    chainType: 'EVM',
+    chainId: '59144',
+    category: 'Infrastructure',
+    explorerTxUrl: 'https://lineascan.build/tx/{hash}',
+    explorerAddressUrl: 'https://lineascan.build/address/{address}'
+  },
+  {
+    name: 'Polygon',
+    chainType: 'EVM',
+    chainId: '137',
+    category: 'DeFi',
+    explorerTxUrl: 'https://polygonscan.com/tx/{hash}',
+    explorerAddressUrl: 'https://polygonscan.com/address/{address}'
+  },
+  {
+    name: 'BSC',
+    chainType: 'EVM',
+    chainId: '56',
+    category: 'DeFi',
+    explorerTxUrl: 'https://bscscan.com/tx/{hash}',
+    explorerAddressUrl: 'https://bscscan.com/address/{address}'
+  },
+  {
+    name: 'Avalanche',
+    chainType: 'EVM',
+    chainId: '43114',
+    category: 'DeFi',
+    explorerTxUrl: 'https://snowtrace.io/tx/{hash}',
+    explorerAddressUrl: 'https://snowtrace.io/address/{address}'
+  },
+  {
+    name: 'Solana',
+    chainType: 'SVM',
+    chainId: 'mainnet-beta',
+    category: 'DeFi',
+    explorerTxUrl: 'https://solscan.io/tx/{hash}',
+    explorerAddressUrl: 'https://solscan.io/account/{address}'
+  },
+  {
+    name: 'Sui',
+    chainType: 'Move',
+    chainId: '35834a8a',
+    category: 'DeFi',
+    explorerTxUrl: 'https://suiscan.xyz/mainnet/tx/{hash}',
+    explorerAddressUrl: 'https://suiscan.xyz/mainnet/account/{address}'
+  },
+  {
+    name: 'Aptos',
+    chainType: 'Move',
+    chainId: '1',
+    category: 'DeFi',
+    explorerTxUrl: 'https://explorer.aptoslabs.com/txn/{hash}?network=mainnet',
+    explorerAddressUrl: 'https://explorer.aptoslabs.com/account/{address}?network=mainnet'
+  },
+  {
+    name: 'TON',
+    chainType: 'Other',
+    chainId: '-239',
+    category: 'DeFi',
+    explorerTxUrl: 'https://tonviewer.com/transaction/{hash}',
+    explorerAddressUrl: 'https://tonviewer.com/{address}'
+  }
+];
+
+module.exports = DEFAULT_CHAINS;
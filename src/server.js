@@ -14,6 +14,20 @@ const userRoutes = require('./routes/users');
 const authRoutes = require('./routes/auth');
 const userTagRoutes = require('./routes/userTags');
 const taskRoutes = require('./routes/tasks');
+const walletRoutes = require('./routes/wallets');
+const claimRoutes = require('./routes/claims');
+const expenseRoutes = require('./routes/expenses');
+const catalogRoutes = require('./routes/catalog');
+const searchRoutes = require('./routes/search');
+const attachmentRoutes = require('./routes/attachments');
+const referralRoutes = require('./routes/referrals');
+const chainRoutes = require('./routes/chains');
+const calendarRoutes = require('./routes/calendar');
+const shareRoutes = require('./routes/shares');
+const workspaceRoutes = require('./routes/workspaces');
+const Chain = require('./models/Chain');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleLinkChecks } = require('./utils/linkHealth');
 
 // Create Express app
 const app = express();
@@ -37,6 +51,7 @@ const limiter = rateLimit({
   },
 });
 app.use('/api/', limiter);
+app.use('/r/', limiter);
 
 // Compression middleware
 app.use(compression());
@@ -55,6 +70,19 @@ app.use('/api/airdrops', airdropRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tags', userTagRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/chains', chainRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+
+// Public referral redirects
+app.use('/r', referralRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -77,7 +105,18 @@ app.get('/api', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       airdrops: '/api/airdrops',
-      users: '/api/users'
+      users: '/api/users',
+      wallets: '/api/wallets',
+      claims: '/api/claims',
+      expenses: '/api/expenses',
+      catalog: '/api/catalog',
+      search: '/api/search',
+      attachments: '/api/attachments',
+      chains: '/api/chains',
+      calendar: '/api/calendar',
+      shares: '/api/shares',
+      workspaces: '/api/workspaces',
+      referrals: '/r/:code'
     },
     authEndpoints: {
       signup: 'POST /api/auth/signup',
@@ -163,6 +202,18 @@ const startServer = async () => {
     // Connect to database first
     await connectDatabase();
 
+    // A new database starts with the default global chains
+    const seededChains = await Chain.ensureDefaults();
+    if (seededChains > 0) {
+      console.log(`Added ${seededChains} default chains to the registry`);
+    }
+
+    // Permanently remove airdrops and tasks that outlived the trash retention period
+    scheduleTrashPurge();
+
+    // Probe official and social links in the background to flag dead or moved ones
+    scheduleLinkChecks();
+
     // Start the server
     app.listen(PORT, () => {
       console.log('Server started successfully!');
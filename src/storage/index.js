@@ -0,0 +1,31 @@
+const createLocalStorage = require('./localStorage');
+
+// Storage backends for attachments. A backend has a name and implements
+// save(key, buffer, contentType), createReadStream(key) and remove(key).
+const backends = {
+  local: createLocalStorage
+};
+
+const instances = {};
+
+// Register another backend (e.g. S3) under a name usable in ATTACHMENT_STORAGE
+const registerStorage = (name, factory) => {
+  backends[name] = factory;
+  delete instances[name];
+};
+
+// Get a storage backend, by default the one configured in ATTACHMENT_STORAGE
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!backends[name]) {
+    throw new Error(`Unknown attachment storage '${name}'`);
+  }
+  if (!instances[name]) {
+    instances[name] = backends[name]();
+  }
+  return instances[name];
+};
+
+module.exports = {
+  registerStorage,
+  getStorage
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local filesystem storage - files live under ATTACHMENT_UPLOAD_DIR (default ./uploads)
+const createLocalStorage = (options = {}) => {
+  const root = path.resolve(options.root || process.env.ATTACHMENT_UPLOAD_DIR || 'uploads');
+
+  // Resolve a key inside the upload directory, refusing anything that escapes it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,112 @@
+const { keccak256 } = require('js-sha3');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Supported wallet chain types
+const CHAIN_TYPES = ['EVM', 'Solana'];
+
+// Convert an EVM address to its EIP-55 checksummed form
+const toChecksumAddress = (address) => {
+  const lower = address.toLowerCase().replace(/^0x/, '');
+  const hash = keccak256(lower);
+
+  let checksummed = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    checksummed += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return checksummed;
+};
+
+// Validate an EVM address. All-lowercase or all-uppercase addresses carry no
+// checksum and are accepted; mixed-case addresses must match EIP-55.
+const isValidEvmAddress = (address) => {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return false;
+  }
+
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    return true;
+  }
+
+  return toChecksumAddress(address) === address;
+};
+
+// Decode a base58 string into bytes, returns null on invalid characters
+const decodeBase58 = (value) => {
+  const bytes = [];
+
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+
+    let carry = digit;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Leading '1' characters encode leading zero bytes
+  for (let i = 0; i < value.length && value[i] === '1'; i++) {
+    bytes.push(0);
+  }
+
+  return Buffer.from(bytes.reverse());
+};
+
+// Validate a Solana address (base58-encoded 32 byte public key)
+const isValidSolanaAddress = (address) => {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return false;
+  }
+
+  const decoded = decodeBase58(address);
+  return !!decoded && decoded.length === 32;
+};
+
+// Validate an address for the given chain type
+const isValidAddress = (address, chainType) => {
+  if (typeof address !== 'string') {
+    return false;
+  }
+
+  switch (chainType) {
+    case 'EVM':
+      return isValidEvmAddress(address);
+    case 'Solana':
+      return isValidSolanaAddress(address);
+    default:
+      return false;
+  }
+};
+
+// Validate a transaction hash: EVM hash or base58 Solana signature
+const isValidTxHash = (hash) => {
+  return /^0x[0-9a-fA-F]{64}$/.test(hash) || /^[1-9A-HJ-NP-Za-km-z]{64,88}$/.test(hash);
+};
+
+// Normalize an address so the same wallet is always stored the same way
+const normalizeAddress = (address, chainType) => {
+  if (chainType === 'EVM' && isValidEvmAddress(address)) {
+    return toChecksumAddress(address);
+  }
+  return address;
+};
+
+module.exports = {
+  CHAIN_TYPES,
+  toChecksumAddress,
+  isValidEvmAddress,
+  isValidSolanaAddress,
+  isValidAddress,
+  isValidTxHash,
+  normalizeAddress
+};
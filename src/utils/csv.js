@@ -0,0 +1,110 @@
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings)
+// into an array of rows, each an array of cell strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Undo the quote toCsvCell puts before cells a spreadsheet would run as a formula,
+// so exported files import with their original values
+const unescapeFormula = (cell) => (/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+
+// Parse CSV text with a header row into objects keyed by the (trimmed) header names
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: rows.map(cells => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = cells[index] !== undefined ? unescapeFormula(cells[index]) : '';
+      });
+      return record;
+    })
+  };
+};
+
+// Format one value as a CSV cell. Dates become ISO strings, arrays are joined with '; '
+// and cells that a spreadsheet would run as a formula are prefixed with a quote.
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let cell;
+  if (value instanceof Date) {
+    cell = value.toISOString();
+  } else if (Array.isArray(value)) {
+    cell = value.join('; ');
+  } else {
+    cell = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  if (/[",\r\n]/.test(cell) || cell !== cell.trim()) {
+    cell = `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+};
+
+// Format a list of values as a CSV line (CRLF terminated)
+const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsvCell,
+  toCsvRow
+};
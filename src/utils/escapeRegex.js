@@ -0,0 +1,4 @@
+// Escape user input so it can be used literally inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,64 @@
+const { once } = require('events');
+const { toCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Write a chunk, waiting for the client to catch up when the buffer is full.
+// Resolves to false when the client disconnected instead, so the export can stop.
+const write = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (res.write(chunk)) return true;
+
+  const waiting = new AbortController();
+  try {
+    // once() rejects if the response emits 'error' first
+    await Promise.race([
+      once(res, 'drain', { signal: waiting.signal }),
+      once(res, 'close', { signal: waiting.signal })
+    ]);
+  } finally {
+    waiting.abort();
+  }
+  return !res.destroyed;
+};
+
+// Stream documents from a cursor to the response as a CSV or JSON download.
+// CSV rows come from flatten(doc) (an object keyed by the columns), JSON from serialize(doc).
+// The cursor is closed when the export ends, also when the client disconnects midway.
+const streamExport = async (res, { format, filename, cursor, columns, flatten, serialize }) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${date}.${format}"`);
+
+  try {
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // Byte order mark so Excel opens the file as UTF-8
+      if (!(await write(res, `\uFEFF${toCsvRow(columns)}`))) return;
+
+      for await (const doc of cursor) {
+        const record = flatten(doc);
+        if (!(await write(res, toCsvRow(columns.map(column => record[column]))))) return;
+      }
+    } else {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      if (!(await write(res, '['))) return;
+
+      let first = true;
+      for await (const doc of cursor) {
+        if (!(await write(res, `${first ? '' : ','}\n${JSON.stringify(serialize(doc))}`))) return;
+        first = false;
+      }
+
+      if (!(await write(res, '\n]\n'))) return;
+    }
+
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
@@ -0,0 +1,22 @@
+// File types accepted as attachments, recognised by their leading bytes
+// rather than the extension or content type the client sent
+const FILE_SIGNATURES = [
+  { mimeType: 'image/png', extension: '.png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', extension: '.jpg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/gif', extension: '.gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6)) },
+  { mimeType: 'image/webp', extension: '.webp', matches: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'application/pdf', extension: '.pdf', matches: buffer => buffer.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+const ALLOWED_MIME_TYPES = FILE_SIGNATURES.map(signature => signature.mimeType);
+
+// Detect the type of a file from its contents, null when it isn't an accepted type
+const detectFileType = (buffer) => {
+  const signature = FILE_SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  detectFileType
+};
@@ -0,0 +1,176 @@
+const Airdrop = require('../models/Airdrop');
+const Expense = require('../models/Expense');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Factors of the focus score and how much each counts (0-10) until a user sets their own weights
+const DEFAULT_FOCUS_WEIGHTS = {
+  priority: 3,
+  deadline: 3,
+  value: 2,
+  cost: 1,
+  tasks: 1
+};
+const FOCUS_FACTORS = Object.keys(DEFAULT_FOCUS_WEIGHTS);
+
+// Deadlines further away than this add no urgency
+const DEADLINE_WINDOW_DAYS = 30;
+
+// Estimated value and spend reach their full effect at these USD amounts
+const VALUE_CAP_USD = 10000;
+const COST_CAP_USD = 1000;
+
+const PRIORITY_FACTORS = { Low: 0, Medium: 0.5, High: 1 };
+
+// Nothing is left to farm on airdrops in a final status
+const FINAL_STATUSES = Airdrop.STATUSES.filter(status => Airdrop.STATUS_TRANSITIONS[status].length === 0);
+
+// Get a user's focus weights, falling back to the defaults for factors they haven't set
+const getFocusWeights = (user) => {
+  const saved = (user && user.preferences && user.preferences.focusWeights) || {};
+  return FOCUS_FACTORS.reduce((weights, factor) => {
+    const weight = saved[factor];
+    weights[factor] = typeof weight === 'number' && weight >= 0 ? weight : DEFAULT_FOCUS_WEIGHTS[factor];
+    return weights;
+  }, {});
+};
+
+// Scale a USD amount to 0-1 logarithmically, so $50 vs $500 counts more than $5000 vs $5500
+const logScale = (amount, cap) => ({
+  $min: [1, { $divide: [{ $log10: { $add: [1, { $max: [0, amount] }] } }, Math.log10(1 + cap)] }]
+});
+
+// estimatedValue as a USD number, parsed like the estimatedValueUsd virtual:
+// '$500', '1.5k', '$200 - $400' (midpoint), null if unparseable
+const estimatedValueUsdExpression = {
+  $let: {
+    vars: {
+      amounts: {
+        $map: {
+          input: {
+            $regexFindAll: {
+              input: { $replaceAll: { input: { $toString: { $ifNull: ['$estimatedValue', ''] } }, find: ',', replacement: '' } },
+              regex: /(\d+(?:\.\d+)?)\s*([kKmM]?)/
+            }
+          },
+          as: 'match',
+          in: {
+            $multiply: [
+              { $toDouble: { $arrayElemAt: ['$$match.captures', 0] } },
+              {
+                $switch: {
+                  branches: [
+                    { case: { $eq: [{ $toLower: { $arrayElemAt: ['$$match.captures', 1] } }, 'k'] }, then: 1000 },
+                    { case: { $eq: [{ $toLower: { $arrayElemAt: ['$$match.captures', 1] } }, 'm'] }, then: 1000000 }
+                  ],
+                  default: 1
+                }
+              }
+            ]
+          }
+        }
+      }
+    },
+    in: {
+      $switch: {
+        branches: [
+          { case: { $eq: [{ $size: '$$amounts' }, 0] }, then: null },
+          { case: { $eq: [{ $size: '$$amounts' }, 1] }, then: { $arrayElemAt: ['$$amounts', 0] } }
+        ],
+        default: { $avg: { $slice: ['$$amounts', 2] } }
+      }
+    }
+  }
+};
+
+// Aggregation stages that add a focusScore (0-100) to airdrops: the weighted average of
+// - priority: Low 0, Medium 0.5, High 1
+// - deadline: rises from 0 to 1 over the last DEADLINE_WINDOW_DAYS, 0 when TBA or passed
+// - value: estimated value, 0 when unknown
+// - cost: 1 when nothing was spent so far, falling as spend grows
+// - tasks: share of open tasks, 0.5 for airdrops without tasks
+// Expects totalTasks and tasksCompleted to be set by the earlier stages.
+const focusScoreStages = (userId, weights, now = new Date()) => {
+  const totalWeight = FOCUS_FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+
+  const factors = {
+    priority: {
+      $switch: {
+        branches: Object.entries(PRIORITY_FACTORS).map(([priority, factor]) => (
+          { case: { $eq: ['$priority', priority] }, then: factor }
+        )),
+        default: PRIORITY_FACTORS.Medium
+      }
+    },
+    deadline: {
+      $cond: [
+        { $gte: ['$deadline', now] }, // null (TBA) sorts before any date
+        { $max: [0, { $subtract: [1, { $divide: [{ $subtract: ['$deadline', now] }, DEADLINE_WINDOW_DAYS * DAY_MS] }] }] },
+        0
+      ]
+    },
+    value: logScale('$$estimatedUsd', VALUE_CAP_USD),
+    cost: { $subtract: [1, logScale('$$spentUsd', COST_CAP_USD)] },
+    tasks: {
+      $cond: [
+        { $gt: ['$totalTasks', 0] },
+        { $subtract: [1, { $divide: ['$tasksCompleted', '$totalTasks'] }] },
+        0.5
+      ]
+    }
+  };
+
+  // Every factor weighted 0 leaves nothing to score
+  const score = totalWeight === 0 ? 0 : {
+    $let: {
+      vars: {
+        estimatedUsd: estimatedValueUsdExpression,
+        spentUsd: { $ifNull: [{ $arrayElemAt: ['$focusSpend.totalUsd', 0] }, 0] }
+      },
+      in: {
+        $round: [{
+          $multiply: [
+            100 / totalWeight,
+            { $add: FOCUS_FACTORS.map(factor => ({ $multiply: [weights[factor], factors[factor]] })) }
+          ]
+        }, 0]
+      }
+    }
+  };
+
+  return [
+    {
+      $lookup: {
+        from: Expense.collection.name,
+        let: { airdropId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$airdrop', '$$airdropId'] },
+                  { $eq: ['$user', userId] }
+                ]
+              }
+            }
+          },
+          { $group: { _id: null, totalUsd: { $sum: { $ifNull: ['$usdValue', 0] } } } }
+        ],
+        as: 'focusSpend'
+      }
+    },
+    {
+      $addFields: {
+        focusScore: { $cond: [{ $in: ['$status', FINAL_STATUSES] }, 0, score] }
+      }
+    },
+    { $project: { focusSpend: 0 } }
+  ];
+};
+
+module.exports = {
+  DEFAULT_FOCUS_WEIGHTS,
+  FOCUS_FACTORS,
+  getFocusWeights,
+  focusScoreStages
+};
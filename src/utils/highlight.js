@@ -0,0 +1,70 @@
+const escapeRegex = require('./escapeRegex');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Extract the positive search terms from a MongoDB $text query string
+// ('"exact phrase" bridge -testnet' -> ['exact phrase', 'bridge'])
+const getSearchTerms = (query) => {
+  const terms = [];
+  const phraseRegex = /"([^"]+)"/g;
+  let match;
+
+  while ((match = phraseRegex.exec(query)) !== null) {
+    terms.push(match[1].trim());
+  }
+
+  query
+    .replace(phraseRegex, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+
+  return terms.filter(Boolean);
+};
+
+// Build an HTML snippet around the first match of any term, with matches wrapped in <mark>.
+// Terms also match word continuations so stemmed results ('farm' -> 'farming') are highlighted.
+const buildSnippet = (text, terms, radius = 60) => {
+  if (!text || terms.length === 0) return null;
+
+  const termRegex = new RegExp(`(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const firstMatch = termRegex.exec(text);
+  if (!firstMatch) return null;
+
+  const start = Math.max(0, firstMatch.index - radius);
+  const end = Math.min(text.length, firstMatch.index + firstMatch[0].length + radius);
+  const excerpt = text.slice(start, end);
+
+  const highlighted = escapeHtml(excerpt).replace(
+    new RegExp(`(${terms.map(term => escapeRegex(escapeHtml(term))).join('|')})\\w*`, 'gi'),
+    '<mark>$&</mark>'
+  );
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+// Build snippets for every field of a document that contains a search term
+const buildSnippets = (doc, fields, terms) => {
+  const snippets = {};
+  fields.forEach(field => {
+    const snippet = buildSnippet(doc[field], terms);
+    if (snippet) {
+      snippets[field] = snippet;
+    }
+  });
+  return snippets;
+};
+
+module.exports = {
+  getSearchTerms,
+  buildSnippet,
+  buildSnippets
+};
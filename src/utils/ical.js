@@ -0,0 +1,93 @@
+// Minimal iCalendar (RFC 5545) writer for the calendar feed
+
+const PRODUCT_ID = '-//Airdrop Journal//Calendar Feed//EN';
+
+// Escape text values (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets, continuing them on lines starting with a space.
+// Multi-byte characters are never split.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const max = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > max) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 20250131T235900Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20250131
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Build the lines of one VEVENT. Events have a uid, summary and start, optionally
+// description, url, categories, allDay (start is a date) and rrule (e.g. 'FREQ=DAILY').
+const eventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    event.allDay
+      ? `DTSTART;VALUE=DATE:${formatDate(event.start)}`
+      : `DTSTART:${formatDateTime(event.start)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a VCALENDAR document with CRLF line endings
+const buildCalendar = ({ name, refreshInterval = 'PT1H', events }) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+    `X-PUBLISHED-TTL:${refreshInterval}`,
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText
+};
@@ -0,0 +1,270 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const Airdrop = require('../models/Airdrop');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'AirdropJournal-LinkChecker/1.0';
+
+// Hosts that are the same site under another name, so redirecting between them isn't a move
+const HOST_ALIASES = {
+  'twitter.com': 'x.com',
+  'discord.gg': 'discord.com'
+};
+
+// Addresses links are never fetched from: loopback, private, shared, link-local (which holds
+// the cloud metadata service at 169.254.169.254), multicast and reserved ranges, and IPv6
+// addresses that map or translate to IPv4 ones
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['::ffff:0:0', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+const getLinkCheckTimeoutMs = () => parseInt(process.env.LINK_CHECK_TIMEOUT_MS) || 10000;
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = (host) => {
+  const error = new Error(`Links to ${host} are not checked`);
+  error.code = 'ERR_BLOCKED_ADDRESS';
+  return error;
+};
+
+// Reject URLs that aren't http(s) or whose host names an internal address
+const assertAllowedUrl = (url) => {
+  if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+    const error = new Error(`Only http and https links are checked, not ${url.protocol}`);
+    error.code = 'ERR_BLOCKED_PROTOCOL';
+    throw error;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    throw blockedError(url.hostname);
+  }
+};
+
+// DNS lookup that refuses host names resolving to a blocked address. It runs when the
+// connection is made, so a host can't pass a check and then resolve somewhere else.
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isBlockedAddress)) {
+      return callback(blockedError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Default HTTP client. A client has request(url, { method, timeoutMs }) resolving to
+// { statusCode, location } without following redirects, so the checker can be pointed
+// at a local stub server or a fake in tests. The default one only fetches public
+// http(s) addresses - checkLink() asks it again for every redirect hop.
+const createFetchClient = () => ({
+  request(url, { method, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      assertAllowedUrl(target);
+
+      const transport = target.protocol === 'https:' ? https : http;
+      const request = transport.request(target, {
+        method,
+        headers: { 'User-Agent': USER_AGENT },
+        lookup: safeLookup,
+        signal: AbortSignal.timeout(timeoutMs)
+      }, (response) => {
+        resolve({
+          statusCode: response.statusCode,
+          location: response.headers.location || null
+        });
+        // Only the status line matters, don't download the page
+        response.destroy();
+      });
+
+      request.on('error', reject);
+      request.end();
+    });
+  }
+});
+
+let defaultClient = createFetchClient();
+
+// Replace the client used when none is passed in (e.g. to check through a proxy)
+const setLinkCheckClient = (client) => {
+  defaultClient = client;
+};
+
+const normalizeHost = (url) => {
+  const host = new URL(url).host.toLowerCase().replace(/^www\./, '');
+  return HOST_ALIASES[host] || host;
+};
+
+// Discord serves its invite page even for expired invites, but the invite API answers 404
+const getProbeUrl = (url) => {
+  const invite = url.match(/^https?:\/\/(?:www\.)?(?:discord\.gg|discord\.com\/invite)\/([\w-]+)\/?$/i);
+  return invite ? `https://discord.com/api/v10/invites/${invite[1]}` : url;
+};
+
+// Probe one URL, following up to MAX_REDIRECTS redirects. Servers that don't allow HEAD
+// are asked again with GET. Resolves to { status, statusCode, redirectTarget, error }.
+const checkLink = async (url, options = {}) => {
+  const client = options.client || defaultClient;
+  const timeoutMs = options.timeoutMs || getLinkCheckTimeoutMs();
+  const probeUrl = getProbeUrl(url);
+
+  let current = probeUrl;
+  let response;
+  try {
+    for (let hops = 0; ; hops++) {
+      response = await client.request(current, { method: 'HEAD', timeoutMs });
+      if (response.statusCode === 405 || response.statusCode === 501) {
+        response = await client.request(current, { method: 'GET', timeoutMs });
+      }
+
+      if (response.statusCode < 300 || response.statusCode >= 400 || !response.location) break;
+
+      if (hops === MAX_REDIRECTS) {
+        return { status: 'broken', statusCode: response.statusCode, redirectTarget: current, error: 'Too many redirects' };
+      }
+      current = new URL(response.location, current).href;
+    }
+  } catch (error) {
+    return {
+      status: 'unreachable',
+      statusCode: null,
+      redirectTarget: current !== probeUrl ? current : null,
+      error: (error.cause && (error.cause.code || error.cause.message)) || error.message
+    };
+  }
+
+  const { statusCode } = response;
+  const redirectTarget = current !== probeUrl ? current : null;
+
+  let status;
+  if (statusCode >= 200 && statusCode < 300) {
+    status = redirectTarget && normalizeHost(redirectTarget) !== normalizeHost(probeUrl) ? 'redirected' : 'ok';
+  } else if ([401, 403, 429].includes(statusCode)) {
+    // Login walls and bot protection - the link may well work in a browser
+    status = 'blocked';
+  } else {
+    status = 'broken';
+  }
+
+  return { status, statusCode, redirectTarget, error: null };
+};
+
+// Check every official and social link of an airdrop. Results are cached in
+// options.cache (a Map by URL) so links shared by many airdrops are probed once.
+const checkAirdropLinks = async (airdrop, options = {}) => {
+  const results = [];
+
+  for (const field of Airdrop.LINK_FIELDS) {
+    const url = airdrop.get(field);
+    if (!url) continue;
+
+    let check = options.cache && options.cache.get(url);
+    if (!check) {
+      check = checkLink(url, options);
+      if (options.cache) {
+        options.cache.set(url, check);
+      }
+    }
+
+    results.push({ field, url, ...(await check), checkedAt: new Date() });
+  }
+
+  return results;
+};
+
+// Check the links of the airdrops that were checked longest ago (or never),
+// up to LINK_CHECK_BATCH_SIZE per run, and store the results on each airdrop
+const runLinkChecks = async (options = {}) => {
+  const staleAfterMs = (parseInt(process.env.LINK_CHECK_STALE_HOURS) || 24) * HOUR_MS;
+  const batchSize = options.batchSize || parseInt(process.env.LINK_CHECK_BATCH_SIZE) || 25;
+
+  const airdrops = await Airdrop.find({
+    linksCheckedAt: { $not: { $gt: new Date(Date.now() - staleAfterMs) } }
+  })
+    .sort({ linksCheckedAt: 1 })
+    .limit(batchSize)
+    .select('officialLink socialMedia');
+
+  const cache = new Map();
+  let issues = 0;
+
+  for (const airdrop of airdrops) {
+    const linkHealth = await checkAirdropLinks(airdrop, { ...options, cache });
+    issues += linkHealth.filter(result => result.status !== 'ok' && result.status !== 'blocked').length;
+
+    // Checking a link isn't an edit, so updatedAt stays as it is
+    await Airdrop.updateOne(
+      { _id: airdrop._id },
+      { linkHealth, linksCheckedAt: new Date() },
+      { timestamps: false }
+    );
+  }
+
+  return { checked: airdrops.length, issues };
+};
+
+// Check links at startup and then periodically (LINK_CHECK_INTERVAL_MS, default every 15 minutes).
+// Set LINK_CHECK_ENABLED=false to turn the checker off.
+const scheduleLinkChecks = () => {
+  if (process.env.LINK_CHECK_ENABLED === 'false') return null;
+
+  let running = false;
+  const run = async () => {
+    // A slow run (many timeouts) must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      const result = await runLinkChecks();
+      if (result.issues > 0) {
+        console.log(`Link check: ${result.issues} broken or moved links in ${result.checked} airdrops`);
+      }
+    } catch (error) {
+      console.error('Error checking links:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = parseInt(process.env.LINK_CHECK_INTERVAL_MS) || 15 * 60 * 1000;
+  return setInterval(run, interval).unref();
+};
+
+module.exports = {
+  createFetchClient,
+  setLinkCheckClient,
+  checkLink,
+  checkAirdropLinks,
+  runLinkChecks,
+  scheduleLinkChecks
+};
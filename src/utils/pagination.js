@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Resolve sortBy and sortOrder against a whitelist mapping each sortBy name to the
+// field sorted on, e.g. { name: 'name', priority: 'priorityRank' }
+const parseSort = ({ sortBy, sortOrder }, sortFields, defaultSortBy) => {
+  const name = sortBy || defaultSortBy;
+  if (!Object.prototype.hasOwnProperty.call(sortFields, name)) {
+    throw badRequest(`sortBy must be one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  const order = sortOrder || 'desc';
+  if (!SORT_ORDERS.includes(order)) {
+    throw badRequest(`sortOrder must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  return { sortBy: name, field: sortFields[name], order: order === 'asc' ? 1 : -1 };
+};
+
+// Sort object with _id as tie-breaker, so every item has a fixed place to continue from
+const sortSpec = ({ field, order }) => (field === '_id' ? { _id: order } : { [field]: order, _id: order });
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and ID,
+// plus the sort they belong to
+const encodeCursor = (item, sort) => {
+  const value = item[sort.field];
+  return Buffer.from(JSON.stringify({
+    s: sort.sortBy,
+    o: sort.order,
+    v: value instanceof Date ? { d: value.toISOString() } : (value === undefined ? null : value),
+    id: item._id.toString()
+  })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || typeof payload !== 'object' || !mongoose.isValidObjectId(payload.id)) {
+    throw badRequest('Invalid cursor');
+  }
+  if (payload.s !== sort.sortBy || payload.o !== sort.order) {
+    throw badRequest('Cursor belongs to another sortBy or sortOrder, start again without it');
+  }
+
+  let value = payload.v;
+  if (value && typeof value === 'object') {
+    value = new Date(value.d);
+    if (isNaN(value)) throw badRequest('Invalid cursor');
+  } else if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+    throw badRequest('Invalid cursor');
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+// Filter for the items after a cursor in sort order. Ties are broken by _id, and
+// null or missing values come first in ascending order, as MongoDB sorts them.
+const cursorFilter = ({ field, order }, { value, id }) => {
+  const after = order === 1 ? '$gt' : '$lt';
+
+  if (field === '_id') {
+    return { _id: { [after]: id } };
+  }
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (order === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+// Parse the pagination query of a list endpoint: sortBy/sortOrder against the whitelist,
+// limit, and either an opaque cursor from the previous page or (for older clients) a page number.
+// page is null when paging with a cursor, and defaults to 1 otherwise.
+// Throws errors with statusCode 400 for invalid input.
+const parseListParams = (params, sortFields, { defaultSortBy, defaultLimit = 20, maxLimit = 100 }) => {
+  const sort = parseSort(params, sortFields, defaultSortBy);
+  const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), maxLimit);
+  const after = params.cursor ? decodeCursor(params.cursor, sort) : null;
+  const page = after ? null : Math.max(parseInt(params.page) || 1, 1);
+
+  return {
+    sort,
+    limit,
+    after,
+    page,
+    skip: page ? (page - 1) * limit : 0,
+    filter: after ? cursorFilter(sort, after) : null
+  };
+};
+
+// Trim results fetched with limit + 1 to the page, with the cursor to the next page (or null)
+const pageResults = (results, { sort, limit }) => {
+  const items = results.slice(0, limit);
+  const nextCursor = results.length > limit ? encodeCursor(items[items.length - 1], sort) : null;
+  return { items, nextCursor };
+};
+
+module.exports = {
+  parseSort,
+  sortSpec,
+  parseListParams,
+  pageResults
+};
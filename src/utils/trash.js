@@ -0,0 +1,45 @@
+const Airdrop = require('../models/Airdrop');
+const Task = require('../models/Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days deleted airdrops and tasks stay in the trash before they are purged
+const getTrashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Date an item deleted at deletedAt will be purged
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS);
+
+// Permanently delete everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const before = new Date(Date.now() - getTrashRetentionDays() * DAY_MS);
+
+  const airdrops = await Airdrop.purgeTrash(before);
+  const tasks = await Task.purgeTrash(before);
+
+  return { airdrops, tasks };
+};
+
+// Purge the trash once at startup and then periodically (TRASH_PURGE_INTERVAL_MS, default hourly)
+const scheduleTrashPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged.airdrops > 0 || purged.tasks > 0) {
+        console.log(`Purged ${purged.airdrops} airdrops and ${purged.tasks} tasks from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  run();
+  const interval = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+  return setInterval(run, interval).unref();
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,53 @@
+// Browser, OS and device detection, checked in order (first match wins).
+// Only coarse families are kept - versions and device models are dropped.
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|curl|wget|python-requests|axios|node-fetch|headless/i;
+
+const BROWSERS = [
+  ['Edge', /edg(e|a|ios)?\//i],
+  ['Opera', /opr\/|opera/i],
+  ['Samsung Internet', /samsungbrowser/i],
+  ['Firefox', /firefox|fxios/i],
+  ['Chrome', /chrome|crios|chromium/i],
+  ['Safari', /safari/i]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iphone|ipad|ipod/i],
+  ['Android', /android/i],
+  ['Windows', /windows/i],
+  ['macOS', /mac os x|macintosh/i],
+  ['ChromeOS', /cros/i],
+  ['Linux', /linux/i]
+];
+
+const findMatch = (patterns, userAgent) => {
+  const match = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'Other';
+};
+
+// Reduce a User-Agent header to { browser, os, device }.
+// device is one of desktop, mobile, tablet, bot or unknown (no header).
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: 'Other', os: 'Other', device: 'unknown' };
+  }
+
+  let device = 'desktop';
+  if (BOT_PATTERN.test(userAgent)) {
+    device = 'bot';
+  } else if (/ipad|tablet|(android(?!.*mobile))/i.test(userAgent)) {
+    device = 'tablet';
+  } else if (/mobi|iphone|ipod/i.test(userAgent)) {
+    device = 'mobile';
+  }
+
+  return {
+    browser: findMatch(BROWSERS, userAgent),
+    os: findMatch(OPERATING_SYSTEMS, userAgent),
+    device
+  };
+};
+
+module.exports = {
+  parseUserAgent
+};